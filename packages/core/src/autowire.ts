@@ -3,9 +3,84 @@
  * Supports two strategies: mapResolvers (transformer-generated) and map (manual override)
  */
 
-import type { Container } from './container.js'
+import type { Container, FactoryParameter } from './container.js'
 import type { Token } from './token.js'
-import type { AutoWireOptions } from './builder.js'
+import type { AutoWireOptions, PropertyAutoWireOptions } from './builder.js'
+import { createLazy } from './lazy.js'
+
+/**
+ * Inspectable description of a constructor dependency (transformer-generated)
+ * Unlike resolver functions, descriptors can be analyzed without resolving anything,
+ * e.g. by Container.verify()
+ */
+export interface DependencyDescriptor {
+  /** Interface type name - resolved with resolveType() */
+  typeName: string
+  /**
+   * How the dependency is injected, when not as the single registration of typeName
+   * - 'keyedIndex': a KeyedIndex of every keyed implementation (resolveTypeKeyedAll())
+   * - 'all': an array of every registration (resolveTypeAll())
+   * - 'lazy': a Lazy<T> that resolves typeName on first access of value, then caches it
+   * - 'func': a () => T function that resolves typeName on every call, or with parameters
+   *   a delegate factory (resolveFactory())
+   */
+  kind?: 'keyedIndex' | 'all' | 'lazy' | 'func'
+  /**
+   * Optional or defaulted constructor parameter - injected as undefined when typeName
+   * is not registered, so the parameter's default initializer applies
+   */
+  optional?: boolean
+  /** Parameters of a 'func' dependency, e.g. (tenantId: string) => ITenantDb */
+  parameters?: FactoryParameter[]
+}
+
+/**
+ * Check whether a resolver is a dependency descriptor
+ */
+export function isDependencyDescriptor(resolver: unknown): resolver is DependencyDescriptor {
+  return typeof resolver === 'object' && resolver !== null && typeof (resolver as any).typeName === 'string'
+}
+
+/**
+ * Resolve an optional descriptor or one with a kind
+ * Plain descriptors are resolved inline by the callers (hot path)
+ * @internal
+ */
+function resolveDescriptor(descriptor: DependencyDescriptor, container: Container, async: boolean): unknown {
+  switch (descriptor.kind) {
+    case undefined:
+      if (descriptor.optional && !container.isRegisteredType(descriptor.typeName)) {
+        return undefined
+      }
+      return async ? container.resolveTypeAsync(descriptor.typeName) : container.resolveType(descriptor.typeName)
+    case 'keyedIndex':
+      return container.resolveTypeKeyedAll(descriptor.typeName)
+    case 'all':
+      return async ? container.resolveTypeAllAsync(descriptor.typeName) : container.resolveTypeAll(descriptor.typeName)
+    // Deferred - resolved outside the consumer's resolution, so cycles through them are allowed.
+    // Not through a context-bound view: each later resolve is a new top-level resolve
+    case 'lazy': {
+      const owner = container.withoutContext()
+      return createLazy(() => owner.resolveType(descriptor.typeName))
+    }
+    case 'func': {
+      const owner = container.withoutContext()
+      return descriptor.parameters
+        ? owner.resolveFactory(descriptor.typeName, descriptor.parameters)
+        : () => owner.resolveType(descriptor.typeName)
+    }
+    default:
+      throw new Error(`Unknown dependency descriptor kind "${descriptor.kind}" for ${descriptor.typeName}`)
+  }
+}
+
+/**
+ * Check whether a resolver is a token (rather than a function or descriptor)
+ * @internal
+ */
+function isToken(resolver: unknown): resolver is Token<any> {
+  return typeof resolver === 'object' && resolver !== null && typeof (resolver as any).symbol === 'symbol'
+}
 
 /**
  * Performance: Cache extracted parameter names to avoid repeated regex parsing
@@ -83,11 +158,7 @@ export function resolveByMap(
 
     if (resolver === undefined) {
       if (options.strict) {
-        throw new Error(
-          `Cannot resolve parameter "${paramName}" on ${constructor.name}. ` +
-          `Not found in autowire map. ` +
-          `Add it to the map: .autoWire({ map: { ${paramName}: ... } })`
-        )
+        throw missingMapParameterError(constructor, paramName)
       } else {
         // Silently push undefined for missing parameters
         // This is expected: transformer filters out primitive types at compile-time,
@@ -109,6 +180,19 @@ export function resolveByMap(
   return resolvedDeps
 }
 
+/**
+ * Error for a constructor parameter missing from a strict autowire map
+ * @internal
+ */
+function missingMapParameterError(constructor: new (...args: any[]) => any, paramName: string): Error {
+  return new Error(
+    `Cannot resolve parameter "${paramName}" on ${constructor.name}. ` +
+    `Not found in autowire map. ` +
+    `Add it to the map: .autoWire({ map: { ${paramName}: ... } })`
+  )
+}
+
+
 
 /**
  * Resolve dependencies using mapResolvers array strategy
@@ -136,6 +220,11 @@ export function resolveByMapResolvers(
     if (resolver === undefined) {
       // undefined indicates primitive type or parameter without DI
       resolvedDeps.push(undefined)
+    } else if (isDependencyDescriptor(resolver)) {
+      // Descriptor: { typeName: 'ILogger' }, optionally with kind/optional
+      resolvedDeps.push(resolver.kind || resolver.optional
+        ? resolveDescriptor(resolver, container, false)
+        : container.resolveType(resolver.typeName))
     } else if (typeof resolver === 'function') {
       // Resolver function: (c) => c.resolveType(...)
       resolvedDeps.push(resolver(container))
@@ -178,3 +267,152 @@ export function autowire(
   // No autowiring configured, return empty array
   return []
 }
+
+/**
+ * Async variant of autowire() - dependencies are resolved concurrently with
+ * resolveAsync() / resolveTypeAsync(), so async factories anywhere in the graph work.
+ * Promises returned by resolver functions are awaited.
+ */
+export function autowireAsync(
+  constructor: new (...args: any[]) => any,
+  container: Container,
+  options?: AutoWireOptions
+): Promise<any[]> {
+  const opts: AutoWireOptions = {
+    by: 'paramName',
+    strict: false,
+    ...options
+  }
+
+  let resolvers: ReadonlyArray<unknown> = []
+  if (opts.mapResolvers && opts.mapResolvers.length > 0) {
+    resolvers = opts.mapResolvers
+  } else if (opts.map && Object.keys(opts.map).length > 0) {
+    const map = opts.map
+    resolvers = extractParameterNames(constructor).map(paramName => {
+      if (map[paramName] === undefined && opts.strict) {
+        throw missingMapParameterError(constructor, paramName)
+      }
+      return map[paramName]
+    })
+  }
+
+  return Promise.all(resolvers.map(resolver => resolveDependencyAsync(resolver, container)))
+}
+
+/**
+ * Put delegate factory arguments into the constructor positions the container left undefined
+ * Parameters the caller did not supply stay undefined.
+ */
+export function applyArguments(
+  resolvedDeps: any[],
+  parameters: ReadonlyArray<FactoryParameter & { index: number }>,
+  args: Readonly<Record<string, unknown>> | undefined
+): any[] {
+  if (args) {
+    for (const parameter of parameters) {
+      resolvedDeps[parameter.index] = args[parameter.name]
+    }
+  }
+  return resolvedDeps
+}
+
+/**
+ * Resolve one autowire resolver asynchronously
+ * @internal
+ */
+function resolveDependencyAsync(resolver: unknown, container: Container): unknown {
+  if (resolver === undefined) {
+    return undefined
+  }
+  if (isDependencyDescriptor(resolver)) {
+    return resolveDescriptor(resolver, container, true)
+  }
+  if (typeof resolver === 'function') {
+    return resolver(container)
+  }
+  return container.resolveAsync(resolver as Token<any>)
+}
+
+/**
+ * Assign autowired properties to a constructed instance
+ * Properties whose type is not registered keep their value, unless strict mode requires them.
+ */
+export function autowireProperties<T>(instance: T, container: Container, options: PropertyAutoWireOptions): T {
+  for (const [name, resolver] of Object.entries(options.properties || {})) {
+    if (isPropertyResolvable(resolver, container, options)) {
+      ;(instance as any)[name] = resolveProperty(resolver, container, false)
+    }
+  }
+  return instance
+}
+
+/**
+ * Async variant of autowireProperties() - properties are resolved concurrently
+ */
+export async function autowirePropertiesAsync<T>(
+  instance: T,
+  container: Container,
+  options: PropertyAutoWireOptions
+): Promise<T> {
+  const entries = Object.entries(options.properties || {})
+    .filter(([, resolver]) => isPropertyResolvable(resolver, container, options))
+  const values = await Promise.all(entries.map(([, resolver]) => resolveProperty(resolver, container, true)))
+  entries.forEach(([name], i) => {
+    ;(instance as any)[name] = values[i]
+  })
+  return instance
+}
+
+/**
+ * Check whether a property is injected: resolver functions, collections and keyed
+ * indexes always are, other types when registered or required by strict mode
+ * @internal
+ */
+function isPropertyResolvable(resolver: unknown, container: Container, options: PropertyAutoWireOptions): boolean {
+  if (isDependencyDescriptor(resolver)) {
+    return !!resolver.kind || (!!options.strict && !resolver.optional) || container.isRegisteredType(resolver.typeName)
+  }
+  if (isToken(resolver)) {
+    return !!options.strict || container.isRegistered(resolver)
+  }
+  return resolver !== undefined
+}
+
+/**
+ * Resolve one property resolver
+ * @internal
+ */
+function resolveProperty(resolver: unknown, container: Container, async: boolean): unknown {
+  if (isDependencyDescriptor(resolver)) {
+    return resolveDescriptor(resolver, container, async)
+  }
+  if (typeof resolver === 'function') {
+    return resolver(container)
+  }
+  return async ? container.resolveAsync(resolver as Token<any>) : container.resolve(resolver as Token<any>)
+}
+
+/**
+ * Get the tokens an autowired constructor depends on, without resolving them
+ * Only descriptors and tokens can be inspected - resolver functions are skipped
+ */
+export function getDependencyTokens(container: Container, options: AutoWireOptions): Token<any>[] {
+  const resolvers = options.mapResolvers && options.mapResolvers.length > 0
+    ? options.mapResolvers
+    : Object.values(options.map || {})
+
+  const tokens: Token<any>[] = []
+  for (const resolver of resolvers) {
+    if (isDependencyDescriptor(resolver)) {
+      // Collections, keyed indexes and optional parameters are valid without registrations, and
+      // lazy and func dependencies are not resolved during construction - nothing to require
+      if (!resolver.kind && !resolver.optional) {
+        tokens.push(container.interfaceToken(resolver.typeName))
+      }
+    } else if (isToken(resolver)) {
+      tokens.push(resolver)
+    }
+  }
+  return tokens
+}
@@ -3,14 +3,39 @@
  */
 
 import { Token } from './token.js'
-import type { Container, Factory, Lifetime } from './container.js'
-import { autowire } from './autowire.js'
+import type {
+  ActivatedEvent,
+  ActivatingEvent,
+  ActivationOptions,
+  BindingOptions,
+  ConditionalCandidate,
+  ConditionContext,
+  Container,
+  Factory,
+  FactoryParameter,
+  Lifetime,
+  LifetimeCheckMode,
+  ScopeTag
+} from './container.js'
+import { isDisposable } from './container.js'
+import {
+  applyArguments,
+  autowire,
+  autowireAsync,
+  autowireProperties,
+  autowirePropertiesAsync,
+  getDependencyTokens,
+  isDependencyDescriptor,
+  type DependencyDescriptor
+} from './autowire.js'
+import { closeTypeName, parseGenericTypeName } from './generics.js'
+import { createInterceptorProxy, type Interceptor } from './interception.js'
 
 /**
  * Represents a pending registration that hasn't been bound to a token yet
  */
 interface PendingRegistration {
-  type: 'type' | 'instance' | 'factory'
+  type: 'type' | 'instance' | 'factory' | 'decorator' | 'generic'
   value: any
   factory?: Factory<any>
   constructor?: new (...args: any[]) => any
@@ -21,22 +46,53 @@ interface PendingRegistration {
  */
 interface RegistrationConfig {
   token: Token<any>
-  type: 'type' | 'instance' | 'factory'
+  type: 'type' | 'instance' | 'factory' | 'decorator' | 'generic'
   value?: any
   factory?: Factory<any>
   constructor?: new (...args: any[]) => any
   lifetime: Lifetime
+  scopeTag?: ScopeTag
   name?: string
   key?: string | symbol
   isDefault?: boolean
   ifNotRegistered?: boolean
+  onlyIf?: Array<(registrations: RegistrationState) => boolean>
+  when?: Array<(context: ConditionContext) => boolean>
   additionalTokens?: Token<any>[]
   dependencies?: Token<any>[] | Record<string, Token<any> | any>
   parameterValues?: Record<string, any>
   interfaceType?: string
   autowireOptions?: AutoWireOptions
+  propertyAutowireOptions?: PropertyAutoWireOptions
+  interceptors?: InterceptorReference[]
+  onActivating?: Array<(event: ActivatingEvent<any>) => void>
+  onActivated?: Array<(event: ActivatedEvent<any>) => void>
+  onRelease?: Array<(instance: any) => void | Promise<void>>
+  autoActivate?: boolean
+  externallyOwned?: boolean
 }
 
+/**
+ * Registrations made so far, passed to onlyIf() conditions during Builder.build()
+ * Includes the registrations of the parent container chain. Conditional (when())
+ * registrations don't count, as they may not apply.
+ */
+export type RegistrationState = Pick<Container, 'isRegistered' | 'isRegisteredType'>
+
+/**
+ * Conditional registrations of a service token, collected during Builder.build()
+ */
+interface ConditionalRegistrations {
+  candidates: ConditionalCandidate[]
+  /** Binding token of the first unconditional registration, used when no condition holds */
+  fallback?: Token<any>
+}
+
+/**
+ * Interceptor given to intercept(): an instance, a token, or an interface type name
+ */
+type InterceptorReference = Interceptor | Token<Interceptor> | string
+
 /**
  * AutoWire configuration options
  *
@@ -66,10 +122,58 @@ export interface AutoWireOptions {
   /**
    * Array of resolvers in parameter position order (transformer-generated)
    * Provides O(1) array access performance - minification-safe and refactoring-friendly
+   * Descriptors ({ typeName: 'ILogger' }) keep dependencies inspectable for Container.verify()
    * undefined entries indicate primitive types or parameters without DI
    * This is automatically generated by the NovaDI transformer at build time
    */
-  mapResolvers?: Array<((c: Container) => any) | Token<any> | undefined>
+  mapResolvers?: Array<DependencyDescriptor | ((c: Container) => any) | Token<any> | undefined>
+
+  /**
+   * Type parameter names of an open generic class (transformer-generated for registerGeneric())
+   * Replaced with the requested type arguments in descriptor type names, e.g. IDbSet<T> → IDbSet<User>
+   */
+  typeParameters?: string[]
+
+  /**
+   * Constructor parameters without DI (the undefined mapResolvers positions), transformer-generated
+   * Delegate factories (resolveFactory()) supply them by name or type.
+   */
+  parameters?: Array<FactoryParameter & { index: number }>
+}
+
+/**
+ * Property injection options for propertiesAutowired()
+ */
+export interface PropertyAutoWireOptions {
+  /**
+   * Resolvers by property name (transformer-generated from the class's typed, non-primitive fields)
+   * Descriptors ({ typeName: 'ILogger' }) use the same type names as constructor autowiring
+   */
+  properties?: Record<string, DependencyDescriptor | ((c: Container) => any) | Token<any>>
+
+  /**
+   * Strict mode: throw if a property's type is not registered
+   * Default: false (properties of unregistered types keep their value)
+   * Optional properties (logger?: ILogger) are never required.
+   */
+  strict?: boolean
+}
+
+/**
+ * Options for Builder.build()
+ */
+export interface BuildOptions {
+  /**
+   * Verify the registration graph after building and throw a
+   * ContainerVerificationError listing every problem (see Container.verify())
+   */
+  validate?: boolean
+
+  /**
+   * Detect singletons depending on shorter-lived registrations, at build time and
+   * on every resolve (see Container.enableStrictLifetimes())
+   */
+  lifetimeCheck?: LifetimeCheckMode
 }
 
 /**
@@ -209,6 +313,48 @@ export class RegistrationBuilder<T> {
     return this
   }
 
+  /**
+   * Set per-lifetime-scope lifetime (one instance per lifetime scope)
+   * Resolving outside any scope shares a single instance per container
+   *
+   * @example
+   * ```ts
+   * builder.registerType(UnitOfWork).as<IUnitOfWork>().instancePerLifetimeScope()
+   *
+   * const scope = container.beginLifetimeScope()
+   * scope.resolveType<IUnitOfWork>() === scope.resolveType<IUnitOfWork>() // true
+   * ```
+   */
+  instancePerLifetimeScope(): this {
+    for (const config of this.configs) {
+      config.lifetime = 'per-lifetime-scope'
+    }
+    return this
+  }
+
+  /**
+   * Set per-matching-lifetime-scope lifetime (one instance per tagged scope)
+   * The instance is shared by the nearest enclosing scope with the given tag
+   * and every scope nested inside it. Resolving outside such a scope throws
+   * MatchingScopeNotFoundError.
+   *
+   * @example
+   * ```ts
+   * builder.registerType(DbTransaction).as<ITransaction>().instancePerMatchingLifetimeScope('request')
+   *
+   * const request = container.beginLifetimeScope('request')
+   * const operation = request.beginLifetimeScope('operation')
+   * operation.resolveType<ITransaction>() === request.resolveType<ITransaction>() // true
+   * ```
+   */
+  instancePerMatchingLifetimeScope(tag: ScopeTag): this {
+    for (const config of this.configs) {
+      config.lifetime = 'per-matching-lifetime-scope'
+      config.scopeTag = tag
+    }
+    return this
+  }
+
   /**
    * Set transient lifetime (new instance every time)
    * Alias for default behavior
@@ -252,7 +398,8 @@ export class RegistrationBuilder<T> {
   }
 
   /**
-   * Only register if token not already registered
+   * Only register if token not already registered earlier in this builder
+   * Parent container registrations don't count - use onlyIf() to check those too.
    */
   ifNotRegistered(): this {
     for (const config of this.configs) {
@@ -261,6 +408,70 @@ export class RegistrationBuilder<T> {
     return this
   }
 
+  /**
+   * Only register if the predicate holds when the container is built
+   * The predicate sees the registrations made before this one (see RegistrationState).
+   * Several onlyIf() conditions must all hold.
+   *
+   * @example
+   * ```ts
+   * builder.registerType(MemoryCache).as<ICache>()
+   *   .onlyIf(registrations => !registrations.isRegisteredType<ICache>())
+   * builder.registerType(SmtpMailer).as<IMailer>()
+   *   .onlyIf(() => process.env.NODE_ENV === 'production')
+   * ```
+   */
+  onlyIf(predicate: (registrations: RegistrationState) => boolean): this {
+    for (const config of this.configs) {
+      this.addCondition(config, predicate)
+    }
+    return this
+  }
+
+  /**
+   * Use this registration only for resolves where the predicate holds
+   * The predicate runs on every resolve of the service. The first registration whose
+   * conditions hold is used, otherwise the service's unconditional registration.
+   * Conditional registrations are not part of resolveAll().
+   *
+   * @example
+   * ```ts
+   * builder.registerType(ConsoleMailer).as<IMailer>()
+   * builder.registerType(AuditedMailer).as<IMailer>()
+   *   .when(ctx => ctx.container.resolveType<IFeatureFlags>().auditMail)
+   * ```
+   */
+  when(predicate: (context: ConditionContext) => boolean): this {
+    for (const config of this.configs) {
+      config.when = config.when || []
+      config.when.push(predicate)
+    }
+    return this
+  }
+
+  /**
+   * Use this registration only where it is injected into one of the given classes
+   * Shorthand for when(ctx => ctx.consumer === ReportService). Other consumers get
+   * the service's unconditional registration.
+   *
+   * @example
+   * ```ts
+   * builder.registerType(ConsoleLogger).as<ILogger>()
+   * builder.registerType(SlowQueryLogger).as<ILogger>().whenInjectedInto(AnalyticsService)
+   * ```
+   */
+  whenInjectedInto(...consumers: Array<new (...args: any[]) => any>): this {
+    return this.when(ctx => ctx.consumer !== undefined && consumers.includes(ctx.consumer))
+  }
+
+  /**
+   * @internal
+   */
+  private addCondition(config: RegistrationConfig, predicate: (registrations: RegistrationState) => boolean): void {
+    config.onlyIf = config.onlyIf || []
+    config.onlyIf.push(predicate)
+  }
+
   /**
    * Specify parameter values for constructor (primitives and constants)
    * Use this for non-DI parameters like strings, numbers, config values
@@ -272,6 +483,127 @@ export class RegistrationBuilder<T> {
     return this
   }
 
+  /**
+   * Intercept method calls on instances of this registration
+   * Resolved instances are wrapped in a Proxy that runs every method call through
+   * the interceptors in the order they were added. Interceptors given as a token or
+   * type name are resolved from the container when the instance is created.
+   *
+   * @example
+   * ```ts
+   * builder.registerType(TimingInterceptor).as<TimingInterceptor>()
+   * builder.registerType(OrderService).as<IOrderService>().intercept<TimingInterceptor>()
+   *
+   * // Or with an explicit token / instance
+   * builder.registerType(OrderService).as<IOrderService>().intercept(auditInterceptorToken)
+   * builder.registerType(OrderService).as<IOrderService>().intercept(new RetryInterceptor(3))
+   * ```
+   */
+  intercept<TInterceptor extends Interceptor = Interceptor>(
+    interceptor?: TInterceptor | Token<TInterceptor> | string
+  ): this {
+    if (interceptor === undefined) {
+      throw new Error(
+        'intercept() requires an interceptor instance, token or type name. ' +
+        'Use intercept<TInterceptor>() with the NovaDI transformer to inject the type name.'
+      )
+    }
+
+    for (const config of this.configs) {
+      config.interceptors = config.interceptors || []
+      config.interceptors.push(interceptor)
+    }
+    return this
+  }
+
+  /**
+   * Run a handler when an instance has been constructed, before it is decorated and cached
+   * The handler may swap the instance via event.replaceInstance()
+   *
+   * @example
+   * ```ts
+   * builder.registerType(HttpClient).as<IHttpClient>()
+   *   .onActivating(e => e.replaceInstance(new RetryingHttpClient(e.instance)))
+   * ```
+   */
+  onActivating(handler: (event: ActivatingEvent<T>) => void): this {
+    for (const config of this.configs) {
+      config.onActivating = config.onActivating || []
+      config.onActivating.push(handler)
+    }
+    return this
+  }
+
+  /**
+   * Run a handler once an instance is fully created and cached
+   * Use for post-construction wiring - the container is available on the event
+   *
+   * @example
+   * ```ts
+   * builder.registerType(EventBus).as<IEventBus>()
+   *   .onActivated(e => e.instance.subscribe(e.container.resolveType<IAuditLog>()))
+   * ```
+   */
+  onActivated(handler: (event: ActivatedEvent<T>) => void): this {
+    for (const config of this.configs) {
+      config.onActivated = config.onActivated || []
+      config.onActivated.push(handler)
+    }
+    return this
+  }
+
+  /**
+   * Run custom cleanup when the owning container is disposed
+   * Replaces the default call to the instance's dispose() method
+   *
+   * @example
+   * ```ts
+   * builder.registerType(ConnectionPool).as<IConnectionPool>()
+   *   .onRelease(pool => pool.drain())
+   * ```
+   */
+  onRelease(handler: (instance: T) => void | Promise<void>): this {
+    for (const config of this.configs) {
+      config.onRelease = config.onRelease || []
+      config.onRelease.push(handler)
+    }
+    return this
+  }
+
+  /**
+   * Create this registration when container.start() runs instead of on first resolve
+   * If the instance implements Startable, its onStart() is awaited after the
+   * startables it depends on have started
+   *
+   * @example
+   * ```ts
+   * builder.registerType(CacheWarmer).as<ICacheWarmer>().autoActivate()
+   * await builder.build().start()
+   * ```
+   */
+  autoActivate(): this {
+    for (const config of this.configs) {
+      config.autoActivate = true
+    }
+    return this
+  }
+
+  /**
+   * Never dispose instances of this registration - the caller manages their lifetime
+   * By default the container disposes every disposable instance it owns, including registered instances
+   *
+   * @example
+   * ```ts
+   * builder.registerInstance(sharedConnection).as<IConnection>().externallyOwned()
+   * ```
+   */
+  externallyOwned(): this {
+    for (const config of this.configs) {
+      config.externallyOwned = true
+    }
+    return this
+  }
+
   /**
    * Enable automatic dependency injection (autowiring)
    * Supports three strategies: paramName (default), map, and class
@@ -298,6 +630,30 @@ export class RegistrationBuilder<T> {
     }
     return this
   }
+
+  /**
+   * Inject dependencies into properties after construction
+   * For classes that cannot take constructor dependencies, e.g. framework base classes.
+   * The transformer generates the property resolvers from typed, non-primitive fields
+   * without an initializer.
+   *
+   * @example
+   * ```ts
+   * class ReportElement extends HTMLElement {
+   *   logger!: ILogger
+   *   reports?: IReportService
+   * }
+   *
+   * builder.registerType(ReportElement).as<ReportElement>().propertiesAutowired()
+   * builder.registerType(OrderEntity).as<OrderEntity>().propertiesAutowired({ strict: true })
+   * ```
+   */
+  propertiesAutowired(options?: PropertyAutoWireOptions): this {
+    for (const config of this.configs) {
+      config.propertyAutowireOptions = options || {}
+    }
+    return this
+  }
 }
 
 /**
@@ -353,6 +709,63 @@ export class Builder {
     return new RegistrationBuilder(pending, this.registrations)
   }
 
+  /**
+   * Register a decorator class for an interface or token
+   *
+   * Resolving the service returns the decorator wrapped around the previously
+   * registered implementation. The decorator receives the inner instance through
+   * its own constructor parameter of the decorated type (autowired by the transformer),
+   * or as its first constructor argument when no autowiring is configured.
+   * Decorators stack in registration order and keep the inner registration's lifetime.
+   *
+   * @example
+   * ```ts
+   * class CachingUserRepository implements IUserRepository {
+   *   constructor(private inner: IUserRepository, private cache: ICache) {}
+   * }
+   *
+   * builder.registerType(SqlUserRepository).as<IUserRepository>()
+   * builder.registerDecorator(CachingUserRepository).as<IUserRepository>()
+   * ```
+   */
+  registerDecorator<T>(constructor: new (...args: any[]) => T): RegistrationBuilder<T> {
+    const pending: PendingRegistration = {
+      type: 'decorator',
+      value: null,
+      constructor
+    }
+
+    return new RegistrationBuilder(pending, this.registrations)
+  }
+
+  /**
+   * Register an open generic class for a generic interface
+   *
+   * Each constructed type (IRepository<User>, IRepository<Order>) gets its own binding
+   * on first resolve, with the registration's lifetime. The transformer records the
+   * class's type parameters, so generic dependencies such as IDbSet<T> resolve as IDbSet<User>.
+   * Registrations of a constructed type take precedence over the open generic.
+   *
+   * @example
+   * ```ts
+   * class Repository<T> implements IRepository<T> {
+   *   constructor(private set: IDbSet<T>) {}
+   * }
+   *
+   * builder.registerGeneric(Repository).as<IRepository<any>>()
+   * app.resolveType<IRepository<User>>()
+   * ```
+   */
+  registerGeneric<T>(constructor: new (...args: any[]) => T): RegistrationBuilder<T> {
+    const pending: PendingRegistration = {
+      type: 'generic',
+      value: null,
+      constructor
+    }
+
+    return new RegistrationBuilder(pending, this.registrations)
+  }
+
   /**
    * Register a module (function that adds multiple registrations)
    */
@@ -367,7 +780,7 @@ export class Builder {
    */
   private resolveInterfaceTokens(container: Container): void {
     for (const config of this.registrations) {
-      if (config.interfaceType !== undefined && !config.token) {
+      if (config.interfaceType !== undefined && !config.token && config.type !== 'generic') {
         config.token = container.interfaceToken(config.interfaceType)
       }
     }
@@ -380,13 +793,42 @@ export class Builder {
   private identifyNonDefaultTokens(): Set<Token<any>> {
     const tokensWithNonDefaults = new Set<Token<any>>()
     for (const config of this.registrations) {
-      if (!config.isDefault && !config.name && config.key === undefined) {
+      if (
+        config.type !== 'decorator' &&
+        !config.isDefault &&
+        !config.when &&
+        !config.name &&
+        config.key === undefined
+      ) {
         tokensWithNonDefaults.add(config.token)
       }
     }
     return tokensWithNonDefaults
   }
 
+  /**
+   * Identify service tokens with conditional (when()) registrations
+   * @internal
+   */
+  private identifyConditionalTokens(): Map<Token<any>, ConditionalRegistrations> {
+    const conditionals = new Map<Token<any>, ConditionalRegistrations>()
+    for (const config of this.registrations) {
+      if (!config.when || config.type === 'decorator' || config.type === 'generic') {
+        continue
+      }
+      if (config.name || config.key !== undefined) {
+        throw new Error(
+          `when() cannot be combined with named() or keyed() (${config.token.toString()}) - ` +
+          `named and keyed registrations are already chosen by the caller`
+        )
+      }
+      for (const serviceToken of [config.token, ...(config.additionalTokens || [])]) {
+        conditionals.set(serviceToken, { candidates: [] })
+      }
+    }
+    return conditionals
+  }
+
   /**
    * Check if registration should be skipped
    * @internal
@@ -394,7 +836,8 @@ export class Builder {
   private shouldSkipRegistration(
     config: RegistrationConfig,
     tokensWithNonDefaults: Set<Token<any>>,
-    registeredTokens: Set<Token<any>>
+    registeredTokens: Set<Token<any>>,
+    registrations: RegistrationState
   ): boolean {
     // Skip default registrations if there's a non-default for the same token
     if (config.isDefault && !config.name && config.key === undefined && tokensWithNonDefaults.has(config.token)) {
@@ -411,42 +854,145 @@ export class Builder {
       return true
     }
 
-    return false
+    // Handle onlyIf()
+    return !this.meetsConditions(config, registrations)
+  }
+
+  /**
+   * Check the onlyIf() conditions of a registration
+   * @internal
+   */
+  private meetsConditions(config: RegistrationConfig, registrations: RegistrationState): boolean {
+    return !config.onlyIf || config.onlyIf.every(predicate => predicate(registrations))
+  }
+
+  /**
+   * Record a conditional registration as a candidate for each of its service tokens
+   * @internal
+   */
+  private addConditionalCandidate(
+    config: RegistrationConfig,
+    bindingToken: Token<any>,
+    conditionals: Map<Token<any>, ConditionalRegistrations>
+  ): void {
+    const conditions = config.when!
+    const candidate: ConditionalCandidate = {
+      token: bindingToken,
+      condition: context => conditions.every(condition => condition(context))
+    }
+    for (const serviceToken of [config.token, ...(config.additionalTokens || [])]) {
+      conditionals.get(serviceToken)!.candidates.push(candidate)
+    }
+  }
+
+  /**
+   * Bind every service token with conditional registrations to its candidates,
+   * falling back to its first unconditional registration
+   * @internal
+   */
+  private applyConditionals(
+    container: Container,
+    conditionals: Map<Token<any>, ConditionalRegistrations>
+  ): void {
+    for (const [token, { candidates, fallback }] of conditionals) {
+      if (fallback) {
+        container.bindConditional(token, [...candidates, { token: fallback }])
+      } else if (candidates.length > 0) {
+        container.bindConditional(token, candidates)
+      }
+    }
+  }
+
+  /**
+   * Bind an open generic registration - each constructed type is registered like
+   * registerType() when first resolved
+   * @internal
+   */
+  private applyGenericRegistration(container: Container, config: RegistrationConfig): void {
+    const generic = config.interfaceType ? parseGenericTypeName(config.interfaceType) : undefined
+    if (!generic) {
+      const className = config.constructor!.name || 'UnnamedClass'
+      throw new Error(
+        `registerGeneric(${className}) needs a generic interface type, e.g. .as<IRepository<any>>()`
+      )
+    }
+
+    container.bindOpenGeneric(generic.name, (token, typeArguments) => {
+      this.applyRegistration(container, {
+        ...config,
+        type: 'type',
+        token,
+        autowireOptions: config.autowireOptions && this.closeAutoWireOptions(config.autowireOptions, typeArguments)
+      })
+    })
+  }
+
+  /**
+   * Substitute the requested type arguments into descriptor type names (IDbSet<T> → IDbSet<User>)
+   * @internal
+   */
+  private closeAutoWireOptions(options: AutoWireOptions, typeArguments: string[]): AutoWireOptions {
+    const typeParameters = options.typeParameters
+    if (!typeParameters || !options.mapResolvers) {
+      return options
+    }
+
+    return {
+      ...options,
+      mapResolvers: options.mapResolvers.map(resolver => isDependencyDescriptor(resolver)
+        ? { ...resolver, typeName: closeTypeName(resolver.typeName, typeParameters, typeArguments) }
+        : resolver)
+    }
   }
 
   /**
    * Create binding token for registration (named, keyed, or multi)
+   * Named and keyed registrations are recorded under each service token they are
+   * registered as, so the same key can be used by different service types.
    * @internal
    */
   private createBindingToken(
+    container: Container,
     config: RegistrationConfig,
-    namedRegistrations: Map<string, any>,
-    keyedRegistrations: Map<string | symbol, any>,
-    multiRegistrations: Map<Token<any>, Token<any>[]>
+    multiRegistrations: Map<Token<any>, Token<any>[]>,
+    conditionals: Map<Token<any>, ConditionalRegistrations>
   ): Token<any> {
+    const serviceTokens = [config.token, ...(config.additionalTokens || [])]
+
     if (config.name) {
       // Named registration gets unique token
       const bindingToken = Token(`__named_${config.name}`)
-      namedRegistrations.set(config.name, { ...config, token: bindingToken })
+      for (const serviceToken of serviceTokens) {
+        container.registerNamed(serviceToken, config.name, bindingToken)
+      }
       return bindingToken
     } else if (config.key !== undefined) {
       // Keyed registration gets unique token
       const keyStr = typeof config.key === 'symbol' ? config.key.toString() : config.key
       const bindingToken = Token(`__keyed_${keyStr}`)
-      keyedRegistrations.set(config.key, { ...config, token: bindingToken })
+      for (const serviceToken of serviceTokens) {
+        container.registerKeyed(serviceToken, config.key, bindingToken)
+      }
       return bindingToken
     } else {
       // Multi-registration handling
+      let bindingToken: Token<any>
       if (multiRegistrations.has(config.token)) {
         // Subsequent registration for this token
-        const bindingToken = Token(`__multi_${config.token.toString()}_${multiRegistrations.get(config.token)!.length}`)
+        bindingToken = Token(`__multi_${config.token.toString()}_${multiRegistrations.get(config.token)!.length}`)
         multiRegistrations.get(config.token)!.push(bindingToken)
-        return bindingToken
       } else {
-        // First registration for this token, use the original token
-        multiRegistrations.set(config.token, [config.token])
-        return config.token
+        // First registration for this token, use the original token - unless the
+        // token is bound to its conditional registrations, then it's the fallback
+        const conditional = conditionals.get(config.token)
+        bindingToken = conditional ? Token(`__multi_${config.token.toString()}_0`) : config.token
+        multiRegistrations.set(config.token, [bindingToken])
+        if (conditional) {
+          conditional.fallback = bindingToken
+        }
       }
+      container.registerMulti(config.token, bindingToken)
+      return bindingToken
     }
   }
 
@@ -458,68 +1004,178 @@ export class Builder {
     container: Container,
     config: RegistrationConfig,
     bindingToken: Token<any>,
-    registeredTokens: Set<Token<any>>
+    registeredTokens: Set<Token<any>>,
+    conditionals: Map<Token<any>, ConditionalRegistrations>
   ): void {
     if (config.additionalTokens) {
       for (const additionalToken of config.additionalTokens) {
+        // Fallback of the interface's conditional registrations
+        const conditional = conditionals.get(additionalToken)
+        if (conditional) {
+          conditional.fallback = conditional.fallback || bindingToken
+          registeredTokens.add(additionalToken)
+          continue
+        }
+
         // Create a factory that resolves the binding token
         container.bindFactory(
           additionalToken,
           (c) => c.resolve(bindingToken),
-          { lifetime: config.lifetime }
+          {
+            lifetime: config.lifetime,
+            scopeTag: config.scopeTag,
+            externallyOwned: config.externallyOwned,
+            dependencies: [bindingToken],
+            asyncFactory: (c) => c.resolveAsync(bindingToken)
+          }
         )
         registeredTokens.add(additionalToken)
       }
     }
   }
 
+  /**
+   * Wrap a registration's instances in an interceptor proxy
+   * @internal
+   */
+  private applyInterceptors(
+    container: Container,
+    config: RegistrationConfig,
+    bindingToken: Token<any>
+  ): void {
+    const references = config.interceptors!
+    container.bindDecorator(bindingToken, (inner, c) => {
+      const interceptors = references.map(reference => {
+        if (typeof reference === 'string') {
+          return c.resolveType<Interceptor>(reference)
+        }
+        if ('symbol' in reference) {
+          return c.resolve(reference as Token<Interceptor>)
+        }
+        return reference
+      })
+      return createInterceptorProxy(inner, interceptors)
+    })
+  }
+
+  /**
+   * Apply decorator registrations in registration order
+   * Decorators wrap every implementation registered for the decorated token
+   * @internal
+   */
+  private applyDecorators(
+    container: Container,
+    decorators: RegistrationConfig[],
+    multiRegistrations: Map<Token<any>, Token<any>[]>,
+    conditionals: Map<Token<any>, ConditionalRegistrations>
+  ): void {
+    for (const config of decorators) {
+      const ctor = config.constructor!
+      const decorator = config.autowireOptions
+        ? (_inner: any, c: Container) => new ctor(...autowire(ctor, c, config.autowireOptions))
+        : (inner: any) => new ctor(inner)
+
+      const tokens = [
+        ...(multiRegistrations.get(config.token) || []),
+        ...(conditionals.get(config.token)?.candidates.map(c => c.token) || [])
+      ]
+      for (const token of tokens.length > 0 ? tokens : [config.token]) {
+        container.bindDecorator(token, decorator)
+      }
+    }
+  }
+
   /**
    * Build the container with all registered bindings
+   *
+   * @example
+   * ```ts
+   * // Fail fast at startup instead of on the first resolve of a broken path
+   * const app = builder.build({ validate: true })
+   * ```
    */
-  build(): Container {
+  build(options?: BuildOptions): Container {
     // Create new container inheriting from base
     const container = this.baseContainer.createChild()
 
     // Pre-process: resolve interface types to tokens
     this.resolveInterfaceTokens(container)
 
-    // Track what's been registered for ifNotRegistered checks
+    // Track what's been registered for onlyIf() and asDefault() checks
     const registeredTokens = new Set<Token<any>>()
-    const namedRegistrations = new Map<string, any>()
-    const keyedRegistrations = new Map<string | symbol, any>()
     const multiRegistrations = new Map<Token<any>, Token<any>[]>()
+    const decorators: RegistrationConfig[] = []
 
     // Pre-process: identify tokens that have non-default registrations
     const tokensWithNonDefaults = this.identifyNonDefaultTokens()
+    const conditionals = this.identifyConditionalTokens()
+
+    // What onlyIf() conditions see: this build's registrations so far, then the parent chain
+    const registrations: RegistrationState = {
+      isRegistered: token => registeredTokens.has(token) || container.isRegistered(token),
+      isRegisteredType: typeName => registrations.isRegistered(container.interfaceToken(typeName))
+    }
 
     for (const config of this.registrations) {
+      // Decorators are applied once all implementations are bound
+      if (config.type === 'decorator') {
+        if (this.meetsConditions(config, registrations)) {
+          decorators.push(config)
+        }
+        continue
+      }
+
+      // Open generics are bound per constructed type on first resolve
+      if (config.type === 'generic') {
+        if (this.meetsConditions(config, registrations)) {
+          this.applyGenericRegistration(container, config)
+        }
+        continue
+      }
+
       // Check if registration should be skipped
-      if (this.shouldSkipRegistration(config, tokensWithNonDefaults, registeredTokens)) {
+      if (this.shouldSkipRegistration(config, tokensWithNonDefaults, registeredTokens, registrations)) {
+        continue
+      }
+
+      // Conditional registrations are chosen per resolve, once all are known
+      if (config.when) {
+        const conditionalToken = Token(`__conditional_${config.token.toString()}`)
+        this.applyRegistration(container, { ...config, token: conditionalToken })
+        if (config.interceptors) {
+          this.applyInterceptors(container, config, conditionalToken)
+        }
+        this.addConditionalCandidate(config, conditionalToken, conditionals)
         continue
       }
 
       // Create binding token (named, keyed, or multi)
-      const bindingToken = this.createBindingToken(
-        config,
-        namedRegistrations,
-        keyedRegistrations,
-        multiRegistrations
-      )
+      const bindingToken = this.createBindingToken(container, config, multiRegistrations, conditionals)
 
       // Apply registration to container using the binding token
       this.applyRegistration(container, { ...config, token: bindingToken })
 
+      if (config.interceptors) {
+        this.applyInterceptors(container, config, bindingToken)
+      }
+
       // Mark original token as registered
       registeredTokens.add(config.token)
 
       // Register additional interfaces
-      this.registerAdditionalInterfaces(container, config, bindingToken, registeredTokens)
+      this.registerAdditionalInterfaces(container, config, bindingToken, registeredTokens, conditionals)
+    }
+
+    this.applyConditionals(container, conditionals)
+    this.applyDecorators(container, decorators, multiRegistrations, conditionals)
+
+    if (options?.lifetimeCheck) {
+      container.enableStrictLifetimes(options.lifetimeCheck)
     }
 
-    // Attach metadata for named/keyed resolution
-    ;(container as any).__namedRegistrations = namedRegistrations
-    ;(container as any).__keyedRegistrations = keyedRegistrations
-    ;(container as any).__multiRegistrations = multiRegistrations
+    if (options?.validate) {
+      container.assertValid()
+    }
 
     return container
   }
@@ -543,20 +1199,22 @@ export class Builder {
   private createOptimizedFactory(
     container: Container,
     config: RegistrationConfig,
-    options: { lifetime: Lifetime }
+    options: BindingOptions
   ): void {
     if (config.lifetime === 'singleton') {
       // Singleton: Create instance directly (fastest path - no factory overhead)
       const instance = new config.constructor!()
-      container.bindValue(config.token, instance)
+      container.bindValue(config.token, instance, options)
     } else if (config.lifetime === 'transient') {
-      // Transient Fast Path: Register in fast transient cache
+      // Transient Fast Path: Register in fast transient cache (hooks and disposal tracking need the full resolve path)
       const ctor = config.constructor!
       const fastFactory = () => new ctor()
-      ;(container as any).fastTransientCache.set(config.token, fastFactory)
+      if (!options.onActivating && !options.onActivated && !isDisposable(ctor.prototype)) {
+        ;(container as any).fastTransientCache.set(config.token, fastFactory)
+      }
       container.bindFactory(config.token, fastFactory, options)
     } else {
-      // Per-request: Use simple factory without autowire overhead
+      // Per-request / per-lifetime-scope: Use simple factory without autowire overhead
       const factory: Factory<any> = () => new config.constructor!()
       container.bindFactory(config.token, factory, options)
     }
@@ -569,13 +1227,40 @@ export class Builder {
   private createAutoWireFactory(
     container: Container,
     config: RegistrationConfig,
-    options: { lifetime: Lifetime }
+    options: BindingOptions
   ): void {
-    const factory: Factory<any> = (c) => {
-      const resolvedDeps = autowire(config.constructor!, c, config.autowireOptions)
-      return new config.constructor!(...resolvedDeps)
+    const properties = config.propertyAutowireOptions
+    const parameters = config.autowireOptions?.parameters
+    const create = (c: Container, resolvedDeps: any[]) => {
+      const instance = new config.constructor!(...resolvedDeps)
+      return properties ? autowireProperties(instance, c, properties) : instance
     }
-    container.bindFactory(config.token, factory, options)
+    // All-primitive constructors only record their parameters for delegate factories -
+    // a plain resolve has nothing to construct them with
+    const argumentsOnly = !!parameters && parameters.length > 0 && !this.hasDependencyResolvers(config.autowireOptions)
+    // Performance: only registrations with parameters the caller can supply take the injection context
+    const factory: Factory<any> = parameters && parameters.length > 0
+      ? (c, context) => {
+          if (argumentsOnly && !context.arguments) {
+            throw this.createMissingAutowiringError(config.constructor!)
+          }
+          return create(c, applyArguments(autowire(config.constructor!, c, config.autowireOptions), parameters, context.arguments))
+        }
+      : (c) => create(c, autowire(config.constructor!, c, config.autowireOptions))
+    const asyncFactory: Factory<any> = async (c) => {
+      if (argumentsOnly) {
+        throw this.createMissingAutowiringError(config.constructor!)
+      }
+      const resolvedDeps = await autowireAsync(config.constructor!, c, config.autowireOptions)
+      const instance = new config.constructor!(...resolvedDeps)
+      return properties ? autowirePropertiesAsync(instance, c, properties) : instance
+    }
+    // Declared dependencies are metadata for verify() - the factory resolves them itself
+    const dependencies = [
+      ...getDependencyTokens(container, config.autowireOptions || {}),
+      ...this.getPropertyDependencyTokens(container, config)
+    ]
+    container.bindFactory(config.token, factory, { ...options, dependencies, asyncFactory, parameters })
   }
 
   /**
@@ -585,13 +1270,48 @@ export class Builder {
   private createParameterFactory(
     container: Container,
     config: RegistrationConfig,
-    options: { lifetime: Lifetime }
+    options: BindingOptions
   ): void {
-    const factory: Factory<any> = () => {
+    const properties = config.propertyAutowireOptions
+    const create = () => {
       const values = Object.values(config.parameterValues!)
       return new config.constructor!(...values)
     }
-    container.bindFactory(config.token, factory, options)
+
+    if (!properties) {
+      container.bindFactory(config.token, create, options)
+      return
+    }
+
+    container.bindFactory(config.token, (c) => autowireProperties(create(), c, properties), {
+      ...options,
+      dependencies: this.getPropertyDependencyTokens(container, config),
+      asyncFactory: (c) => autowirePropertiesAsync(create(), c, properties)
+    })
+  }
+
+  /**
+   * Properties a registration requires - only strict property injection makes them required
+   * @internal
+   */
+  private getPropertyDependencyTokens(container: Container, config: RegistrationConfig): Token<any>[] {
+    const properties = config.propertyAutowireOptions
+    if (!properties?.strict || !properties.properties) {
+      return []
+    }
+    return getDependencyTokens(container, { mapResolvers: Object.values(properties.properties) })
+  }
+
+  /**
+   * Check whether autowire options resolve anything - transformer-generated options of
+   * all-primitive constructors only record the parameters for delegate factories
+   * @internal
+   */
+  private hasDependencyResolvers(options?: AutoWireOptions): boolean {
+    if (!options) {
+      return false
+    }
+    return !!options.map || !options.mapResolvers || options.mapResolvers.some(resolver => resolver !== undefined)
   }
 
   /**
@@ -601,18 +1321,23 @@ export class Builder {
   private applyTypeRegistration(
     container: Container,
     config: RegistrationConfig,
-    options: { lifetime: Lifetime }
+    options: BindingOptions
   ): void {
     const { hasDependencies } = this.analyzeConstructor(config.constructor!)
 
     // Fast path: No dependencies and no special config
-    if (!hasDependencies && !config.autowireOptions && !config.parameterValues) {
+    if (!hasDependencies && !config.autowireOptions && !config.parameterValues && !config.propertyAutowireOptions) {
       this.createOptimizedFactory(container, config, options)
       return
     }
 
-    // AutoWire path
-    if (config.autowireOptions) {
+    // withParameters() wins over autowiring without dependencies (all-primitive constructors)
+    const autowireOptions = config.parameterValues && !this.hasDependencyResolvers(config.autowireOptions)
+      ? undefined
+      : config.autowireOptions
+
+    // AutoWire path - also injects properties after construction
+    if (autowireOptions || (config.propertyAutowireOptions && !config.parameterValues && !hasDependencies)) {
       this.createAutoWireFactory(container, config, options)
       return
     }
@@ -625,19 +1350,7 @@ export class Builder {
 
     // Error: Constructor has dependencies but no config
     if (hasDependencies) {
-      const className = config.constructor!.name || 'UnnamedClass'
-      throw new Error(
-        `Service "${className}" has constructor dependencies but no autowiring configuration.\n\n` +
-        `Solutions:\n` +
-        `  1. ⭐ Use the NovaDI transformer (recommended):\n` +
-        `     - Add "@novadi/core/unplugin" to your build config\n` +
-        `     - Transformer automatically generates .autoWire() for all dependencies\n\n` +
-        `  2. Add manual autowiring:\n` +
-        `     .autoWire({ map: { /* param: resolver */ } })\n\n` +
-        `  3. Use a factory function:\n` +
-        `     .register((c) => new ${className}(...))\n\n` +
-        `See docs: https://github.com/janus007/NovaDI#autowire`
-      )
+      throw this.createMissingAutowiringError(config.constructor!)
     }
 
     // No dependencies - create simple factory
@@ -645,12 +1358,90 @@ export class Builder {
     container.bindFactory(config.token, factory, options)
   }
 
+  /**
+   * Error for a constructor with parameters nothing supplies
+   * @internal
+   */
+  private createMissingAutowiringError(constructor: new (...args: any[]) => any): Error {
+    const className = constructor.name || 'UnnamedClass'
+    return new Error(
+      `Service "${className}" has constructor dependencies but no autowiring configuration.\n\n` +
+      `Solutions:\n` +
+      `  1. ⭐ Use the NovaDI transformer (recommended):\n` +
+      `     - Add "@novadi/core/unplugin" to your build config\n` +
+      `     - Transformer automatically generates .autoWire() for all dependencies\n\n` +
+      `  2. Add manual autowiring:\n` +
+      `     .autoWire({ map: { /* param: resolver */ } })\n\n` +
+      `  3. Use a factory function:\n` +
+      `     .register((c) => new ${className}(...))\n\n` +
+      `See docs: https://github.com/janus007/NovaDI#autowire`
+    )
+  }
+
+  /**
+   * Combine the activation handlers of a registration into binding hooks
+   * @internal
+   */
+  private createActivationOptions(config: RegistrationConfig): ActivationOptions {
+    const options: ActivationOptions = {}
+    const { onActivating, onActivated, onRelease } = config
+
+    if (onActivating) {
+      options.onActivating = (event) => {
+        // Each handler sees the instance as replaced by the handlers before it
+        let instance = event.instance
+        for (const handler of onActivating) {
+          handler({
+            token: event.token,
+            container: event.container,
+            instance,
+            replaceInstance: (replacement) => {
+              instance = replacement
+              event.replaceInstance(replacement)
+            }
+          })
+        }
+      }
+    }
+
+    if (onActivated) {
+      options.onActivated = (event) => {
+        for (const handler of onActivated) {
+          handler(event)
+        }
+      }
+    }
+
+    if (onRelease) {
+      options.onRelease = async (instance) => {
+        for (const handler of onRelease) {
+          await handler(instance)
+        }
+      }
+    }
+
+    if (config.autoActivate) {
+      options.autoActivate = true
+    }
+
+    if (config.externallyOwned) {
+      options.externallyOwned = true
+    }
+
+    return options
+  }
+
   private applyRegistration(container: Container, config: RegistrationConfig): void {
-    const options = { lifetime: config.lifetime }
+    const options: BindingOptions = {
+      lifetime: config.lifetime,
+      scopeTag: config.scopeTag,
+      interfaceType: config.interfaceType,
+      ...this.createActivationOptions(config)
+    }
 
     switch (config.type) {
       case 'instance':
-        container.bindValue(config.token, config.value)
+        container.bindValue(config.token, config.value, options)
         break
 
       case 'factory':
@@ -658,7 +1449,7 @@ export class Builder {
         break
 
       case 'type':
-        this.applyTypeRegistration(container, config, options)
+        this.applyTypeRegistration(container, config, { ...options, implementationType: config.constructor })
         break
     }
   }
@@ -3,46 +3,338 @@
  */
 
 import { Token } from './token.js'
-import { BindingNotFoundError, CircularDependencyError } from './errors.js'
+import {
+  BindingNotFoundError,
+  CircularDependencyError,
+  ContainerVerificationError,
+  DisposalError,
+  LifetimeMismatchError,
+  MatchingScopeNotFoundError,
+  type DisposalFailure
+} from './errors.js'
 import { Builder } from './builder.js'
+import { createKeyedIndex, type KeyedIndex } from './keyed-index.js'
+import { parseGenericTypeName } from './generics.js'
+import { unwrapInterceptorProxy } from './interception.js'
+
+// Older runtimes lack the disposal symbols - fall back to the registered symbols the
+// `await using` polyfills use, without patching the global Symbol
+const disposeSymbol: typeof Symbol.dispose = Symbol.dispose ?? Symbol.for('Symbol.dispose')
+const asyncDisposeSymbol: typeof Symbol.asyncDispose = Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose')
+
+export type Lifetime =
+  | 'singleton'
+  | 'transient'
+  | 'per-request'
+  | 'per-lifetime-scope'
+  | 'per-matching-lifetime-scope'
 
-export type Lifetime = 'singleton' | 'transient' | 'per-request'
+/**
+ * Tag identifying a lifetime scope (e.g. 'request', 'tenant', 'job')
+ */
+export type ScopeTag = string | symbol
+
+/**
+ * Raised before an activated instance is decorated and cached
+ */
+export interface ActivatingEvent<T> {
+  readonly instance: T
+  readonly token: Token<T>
+  readonly container: Container
+  /** Use a different instance from here on (e.g. a wrapper or a configured copy) */
+  replaceInstance(instance: T): void
+}
+
+/**
+ * Raised once an instance has been fully created and cached
+ */
+export interface ActivatedEvent<T> {
+  readonly instance: T
+  readonly token: Token<T>
+  readonly container: Container
+}
+
+/**
+ * Activation lifecycle hooks of a binding
+ */
+export interface ActivationOptions<T = any> {
+  /** Called right after construction, before decorators run - may replace the instance */
+  onActivating?: (event: ActivatingEvent<T>) => void
+  /** Called after the instance is cached - for post-construction wiring */
+  onActivated?: (event: ActivatedEvent<T>) => void
+  /** Called instead of the instance's dispose() when the owning container is disposed */
+  onRelease?: (instance: T) => void | Promise<void>
+  /** Create the instance when container.start() runs instead of on first resolve */
+  autoActivate?: boolean
+  /** Never dispose instances of this binding - their lifetime is managed by the caller */
+  externallyOwned?: boolean
+}
 
-export interface BindingOptions {
+export interface BindingOptions extends ActivationOptions {
   lifetime?: Lifetime
   dependencies?: Token<any>[]
+  /** Used by resolveAsync() instead of the factory, e.g. to resolve the factory's own dependencies asynchronously */
+  asyncFactory?: Factory<any>
+  /** Tag of the scope that owns instances with 'per-matching-lifetime-scope' lifetime */
+  scopeTag?: ScopeTag
+  /** Class the factory creates - the consumer its dependencies see (InjectionContext.consumer) */
+  implementationType?: new (...args: any[]) => any
+  /** Interface type name the binding is registered as (InjectionContext.consumerType) */
+  interfaceType?: string
+  /** Constructor parameters the container cannot resolve - supplied by delegate factories (resolveFactory()) */
+  parameters?: FactoryParameter[]
+}
+
+/**
+ * Parameter of a delegate factory, or a constructor parameter a delegate factory supplies
+ */
+export interface FactoryParameter {
+  /** Parameter name - matched first */
+  name: string
+  /** Type name, e.g. "string" - matched when no name matches */
+  typeName: string
+}
+
+export interface DisposeOptions {
+  /** Report each failure here instead of rejecting with a DisposalError */
+  onError?: (error: unknown, token: Token<any>) => void
+}
+
+/**
+ * Dependency path in which a singleton holds on to an instance with a shorter lifetime
+ */
+export interface LifetimeMismatch {
+  /** Tokens from the start of the path to the captured dependency */
+  path: string[]
+  /** Lifetime of each token in path */
+  lifetimes: Lifetime[]
+}
+
+/**
+ * How lifetime mismatches are reported: console warning or LifetimeMismatchError
+ */
+export type LifetimeCheckMode = 'warn' | 'throw'
+
+/**
+ * Result of Container.verify()
+ */
+export interface VerificationResult {
+  /** True when no problems were found */
+  valid: boolean
+  /** Dependencies without a registration, with the path that requires them */
+  missing: Array<{ token: string; path: string[] }>
+  /** Circular dependency paths, each ending with the token it started from */
+  cycles: string[][]
+  /** Tokens with several registrations that are injected as a single instance */
+  ambiguous: Array<{ token: string; registrations: number; requiredBy: string[] }>
+  /**
+   * Singletons depending on transient, per-request or scoped registrations
+   * Always reported, but only make the result invalid with strict lifetimes (see enableStrictLifetimes())
+   */
+  lifetimeMismatches: LifetimeMismatch[]
+}
+
+/**
+ * Where a service is being injected - passed to factories and when() conditions
+ */
+export interface InjectionContext {
+  /** Token being resolved */
+  readonly token: Token<any>
+  /** Tokens being resolved that led to this service, outermost first */
+  readonly path: string[]
+  /** Token of the registration the service is injected into - undefined for a top-level resolve */
+  readonly consumerToken?: Token<any>
+  /** Class the service is injected into - undefined for a top-level resolve or a factory/instance consumer */
+  readonly consumer?: new (...args: any[]) => any
+  /** Class name of the consumer, e.g. as a logger category */
+  readonly consumerName?: string
+  /** Interface type name the consumer is registered as, e.g. "IReportService" */
+  readonly consumerType?: string
+  /**
+   * Arguments of the delegate factory (resolveFactory()) that requested the service, by parameter name
+   * Only the requested service gets them, not its dependencies.
+   */
+  readonly arguments?: Readonly<Record<string, unknown>>
+}
+
+/**
+ * Passed to when() conditions each time a conditional service is resolved
+ */
+export interface ConditionContext extends InjectionContext {
+  /** Container or lifetime scope the service is resolved from */
+  readonly container: Container
+}
+
+/**
+ * Candidate of a conditional binding - used when its condition holds, or always without one
+ */
+export interface ConditionalCandidate {
+  token: Token<any>
+  condition?: (context: ConditionContext) => boolean
+  /** Resolve the token from this container instead - the parent whose registration the conditional binding hides */
+  inheritedFrom?: Container
 }
 
-export type Factory<T> = (container: Container) => T | Promise<T>
+/**
+ * Creates instances for a binding
+ * Factories declaring the second parameter receive the injection context, e.g. to
+ * create a logger per consuming class: register((c, ctx) => new Logger(ctx.consumerName))
+ */
+export type Factory<T> = (container: Container, context: InjectionContext) => T | Promise<T>
+
+/**
+ * Wraps the instance produced by a binding (or by a previous decorator)
+ */
+export type Decorator<T> = (inner: T, container: Container) => T
 
 type BindingType = 'value' | 'factory' | 'class' | 'inline-class'
 
-interface Binding<T = any> {
+interface Binding<T = any> extends ActivationOptions<T> {
   type: BindingType
   lifetime: Lifetime
   value?: T
   factory?: Factory<T>
+  asyncFactory?: Factory<T>
   constructor?: new (...args: any[]) => T
   dependencies?: Token<any>[]
+  scopeTag?: ScopeTag
+  decorators?: Decorator<T>[]
+  implementationType?: new (...args: any[]) => any
+  interfaceType?: string
+  parameters?: FactoryParameter[]
+  candidates?: ConditionalCandidate[] // Conditional binding: resolves the first candidate whose condition holds
+}
+
+/**
+ * Disposable instance owned by a container, released when the container is disposed
+ */
+interface OwnedInstance {
+  token: Token<any>
+  instance: any
+  onRelease?: (instance: any) => void | Promise<void>
+}
+
+/**
+ * Check whether an object (or a class prototype) implements a cleanup method
+ * @internal
+ */
+export function isDisposable(obj: any): boolean {
+  return !!obj && (
+    typeof obj[asyncDisposeSymbol] === 'function' ||
+    typeof obj[disposeSymbol] === 'function' ||
+    typeof obj.dispose === 'function'
+  )
+}
+
+/**
+ * Release an instance with the first cleanup method it implements:
+ * Symbol.asyncDispose, Symbol.dispose or dispose()
+ */
+function disposeInstance(instance: any): void | Promise<void> {
+  if (!instance) {
+    return undefined
+  }
+  if (typeof instance[asyncDisposeSymbol] === 'function') {
+    return instance[asyncDisposeSymbol]()
+  }
+  if (typeof instance[disposeSymbol] === 'function') {
+    return instance[disposeSymbol]()
+  }
+  if (typeof instance.dispose === 'function') {
+    return instance.dispose()
+  }
+  return undefined
+}
+
+/**
+ * Service with asynchronous initialization, run by container.start()
+ */
+export interface Startable {
+  onStart(): void | Promise<void>
+}
+
+function isStartable(obj: any): obj is Startable {
+  return obj && typeof obj.onStart === 'function'
 }
 
-interface Disposable {
-  dispose(): void | Promise<void>
+/**
+ * Add a binding token to a service-token-scoped name/key registry, allocating it on first use
+ */
+function setKeyedRegistration(
+  registrations: Map<Token<any>, Map<string | symbol, Token<any>>> | undefined,
+  serviceToken: Token<any>,
+  key: string | symbol,
+  bindingToken: Token<any>
+): Map<Token<any>, Map<string | symbol, Token<any>>> {
+  const result = registrations || new Map()
+  let byKey = result.get(serviceToken)
+  if (!byKey) {
+    byKey = new Map()
+    result.set(serviceToken, byKey)
+  }
+  byKey.set(key, bindingToken)
+  return result
 }
 
-function isDisposable(obj: any): obj is Disposable {
-  return obj && typeof obj.dispose === 'function'
+/**
+ * Cached instance being created by an async resolve
+ */
+interface PendingInstance {
+  promise: Promise<any>
+  context: ResolutionContext
 }
 
 /**
  * Resolution context tracks the current dependency resolution path
  * for circular dependency detection and per-request scoping
+ *
+ * Each logical resolve has its own context. Branches resolved concurrently
+ * (async dependencies) get a fork: a private copy of the stack that shares
+ * the per-request cache and startup ordering with the rest of the tree.
  */
 class ResolutionContext {
-  private readonly resolvingStack: Set<Token<any>> = new Set()
-  private readonly perRequestCache: Map<Token<any>, any> = new Map()
+  private readonly resolvingStack: Set<Token<any>>
+  private readonly perRequestCache: Map<Token<any>, any>
+  readonly pendingPerRequest: Map<Token<any>, PendingInstance> // Per-request instances being created, shared by branches
+  private decoratedInstances?: Map<Token<any>, any> // Performance: Only allocated when decorators run
+  private startableDependencies?: Map<Token<any>, Startable[]> // Performance: Only allocated when startables are resolved
+  private awaiting?: Map<Token<any>, ResolutionContext> // In-flight instances this context waits for, by creating context
+  private forks?: Set<ResolutionContext> // Branches currently resolving on behalf of this context
+  private runtimeArguments?: Map<Token<any>, Readonly<Record<string, unknown>>> // Delegate factory arguments, by requested token
   private path?: string[] // Performance: Lazy initialization - only build when needed for error messages
 
+  constructor(parent?: ResolutionContext) {
+    this.resolvingStack = new Set(parent?.resolvingStack)
+    if (!parent) {
+      this.perRequestCache = new Map()
+      this.pendingPerRequest = new Map()
+      return
+    }
+    this.perRequestCache = parent.perRequestCache
+    this.pendingPerRequest = parent.pendingPerRequest
+    this.decoratedInstances = parent.decoratedInstances
+    if (!parent.startableDependencies) {
+      parent.startableDependencies = new Map()
+    }
+    this.startableDependencies = parent.startableDependencies
+  }
+
+  /**
+   * Start a branch that resolves concurrently with its siblings
+   */
+  fork(): ResolutionContext {
+    const branch = new ResolutionContext(this)
+    if (!this.forks) {
+      this.forks = new Set()
+    }
+    this.forks.add(branch)
+    return branch
+  }
+
+  join(branch: ResolutionContext): void {
+    this.forks!.delete(branch)
+  }
+
   isResolving(token: Token<any>): boolean {
     return this.resolvingStack.has(token)
   }
@@ -55,10 +347,98 @@ class ResolutionContext {
 
   exitResolve(token: Token<any>): void {
     this.resolvingStack.delete(token)
+    this.startableDependencies?.delete(token)
     // Performance: Clear lazy path cache when exiting
     this.path = undefined
   }
 
+  getResolvingTokens(): Token<any>[] {
+    return Array.from(this.resolvingStack)
+  }
+
+  /**
+   * Wait for an instance another context is creating
+   * The token stays on the stack until the wait ends, so wait cycles can be found
+   */
+  beginAwait(token: Token<any>, creator: ResolutionContext): void {
+    this.resolvingStack.add(token)
+    this.path = undefined
+    if (!this.awaiting) {
+      this.awaiting = new Map()
+    }
+    this.awaiting.set(token, creator)
+  }
+
+  endAwait(token: Token<any>): void {
+    this.resolvingStack.delete(token)
+    this.awaiting!.delete(token)
+    this.path = undefined
+  }
+
+  /**
+   * Find the tokens through which waiting for an in-flight instance would wait
+   * on this context itself - a circular dependency split across concurrent resolves.
+   * Follows what the creator resolves after the token, in its branches and
+   * in the contexts it waits for in turn.
+   */
+  findWaitCycle(token: Token<any>, creator: ResolutionContext): Token<any>[] | undefined {
+    const visited = new Set<ResolutionContext>()
+
+    const walk = (from: Token<any>, context: ResolutionContext): Token<any>[] | undefined => {
+      if (visited.has(context)) {
+        return undefined
+      }
+      visited.add(context)
+
+      const stack = Array.from(context.resolvingStack)
+      const index = stack.indexOf(from)
+      if (index === -1) {
+        return undefined
+      }
+      const after = stack.slice(index + 1)
+      for (let i = 0; i < after.length; i++) {
+        if (this.resolvingStack.has(after[i])) {
+          return after.slice(0, i + 1)
+        }
+        const next = context.awaiting?.get(after[i])
+        const rest = next && walk(after[i], next)
+        if (rest) {
+          return [...after.slice(0, i + 1), ...rest]
+        }
+      }
+
+      if (context.forks) {
+        for (const branch of context.forks) {
+          const rest = walk(after.length > 0 ? after[after.length - 1] : from, branch)
+          if (rest) {
+            return [...after, ...rest]
+          }
+        }
+      }
+      return undefined
+    }
+
+    return walk(token, creator)
+  }
+
+  /**
+   * Hand delegate factory arguments to the factory of the requested token
+   */
+  setArguments(token: Token<any>, args: Readonly<Record<string, unknown>>): void {
+    if (!this.runtimeArguments) {
+      this.runtimeArguments = new Map()
+    }
+    this.runtimeArguments.set(token, args)
+  }
+
+  clearArguments(token: Token<any>): void {
+    this.runtimeArguments!.delete(token)
+  }
+
+  getArguments(token: Token<any>): Readonly<Record<string, unknown>> | undefined {
+    return this.runtimeArguments?.get(token)
+  }
+
   getPath(): string[] {
     // Performance: Build path on-demand only when needed (typically for error messages)
     if (!this.path) {
@@ -79,6 +459,56 @@ class ResolutionContext {
     return this.perRequestCache.has(token)
   }
 
+  /**
+   * Record a startable instance handed to the services currently being resolved
+   * Every token on the stack gets the edge - transitive edges only repeat an ordering
+   */
+  addStartableDependency(instance: Startable): void {
+    if (this.resolvingStack.size === 0) {
+      return
+    }
+    if (!this.startableDependencies) {
+      this.startableDependencies = new Map()
+    }
+    for (const token of this.resolvingStack) {
+      const dependencies = this.startableDependencies.get(token)
+      if (dependencies) {
+        dependencies.push(instance)
+      } else {
+        this.startableDependencies.set(token, [instance])
+      }
+    }
+  }
+
+  /**
+   * Startable instances received while resolving a token
+   */
+  getStartableDependencies(token: Token<any>): Startable[] | undefined {
+    return this.startableDependencies?.get(token)
+  }
+
+  /**
+   * While a decorator runs, its own token resolves to the instance it wraps
+   */
+  enterDecorator(token: Token<any>, inner: any): void {
+    if (!this.decoratedInstances) {
+      this.decoratedInstances = new Map()
+    }
+    this.decoratedInstances.set(token, inner)
+  }
+
+  exitDecorator(token: Token<any>): void {
+    this.decoratedInstances!.delete(token)
+  }
+
+  isDecorating(token: Token<any>): boolean {
+    return this.decoratedInstances !== undefined && this.decoratedInstances.has(token)
+  }
+
+  getDecoratedInstance(token: Token<any>): any {
+    return this.decoratedInstances!.get(token)
+  }
+
   /**
    * Reset context for reuse in object pool
    * Performance: Reusing contexts avoids heap allocations
@@ -86,6 +516,12 @@ class ResolutionContext {
   reset(): void {
     this.resolvingStack.clear()
     this.perRequestCache.clear()
+    this.pendingPerRequest.clear()
+    this.decoratedInstances = undefined
+    this.startableDependencies = undefined
+    this.awaiting = undefined
+    this.forks = undefined
+    this.runtimeArguments = undefined
     this.path = undefined
   }
 }
@@ -122,39 +558,64 @@ class ResolutionContextPool {
  *
  * Manages registration and resolution of dependencies with support for:
  * - Multiple binding types (value, factory, class)
- * - Lifetime management (singleton, transient, per-request)
+ * - Lifetime management (singleton, transient, per-request, per-lifetime-scope)
  * - Child containers with inheritance
+ * - Lifetime scopes (unit-of-work / HTTP-request scoping)
  * - Circular dependency detection
+ * - Dependency-ordered async startup
  * - Automatic disposal
  */
 export class Container {
   private readonly bindings: Map<Token<any>, Binding> = new Map()
   private readonly singletonCache: Map<Token<any>, any> = new Map()
-  private readonly singletonOrder: Token<any>[] = []
+  private readonly ownedInstances: OwnedInstance[] = [] // Disposable instances created by this container, in creation order
+  private readonly ownedSet: Set<any> = new Set() // Same instances, for identity checks (aliases resolve the same instance)
   private readonly parent?: Container
   private currentContext?: ResolutionContext
+  private contextOwner?: Container // Set on context-bound views only: the container they were made from
   protected readonly interfaceRegistry: Map<string, Token<any>> = new Map()
   private bindingCache?: Map<Token<any>, Binding> // Performance: Flat cache of all bindings including parent chain
   private interfaceTokenCache: Map<string, Token<any>> = new Map() // Performance: Cache for resolveType() lookups
   private readonly fastTransientCache: Map<Token<any>, () => any> = new Map() // Performance: Fast path for simple transients
   private static contextPool = new ResolutionContextPool() // Performance: Pooled contexts reduce allocations
   private readonly ultraFastSingletonCache: Map<Token<any>, any> = new Map() // Performance: Ultra-fast singleton-only cache
+  private isLifetimeScope = false
+  private scopeTag?: ScopeTag
+  private readonly startables: Startable[] = [] // Startable instances owned by this container, in creation order
+  private static readonly startDependencies = new WeakMap<Startable, Startable[]>()
+  private static readonly startPromises = new WeakMap<Startable, Promise<void>>()
+  private lifetimeCheck?: LifetimeCheckMode
+  private readonly pendingInstances: Map<Token<any>, PendingInstance> = new Map() // Async creations in flight, shared by racing resolves
+  private namedRegistrations?: Map<Token<any>, Map<string | symbol, Token<any>>> // Service token -> name -> binding token
+  private keyedRegistrations?: Map<Token<any>, Map<string | symbol, Token<any>>> // Service token -> key -> binding token
+  private multiRegistrations?: Map<Token<any>, Token<any>[]> // Service token -> binding tokens, in registration order
+  private openGenerics?: Map<string, (token: Token<any>, typeArguments: string[]) => void> // Generic type name -> binder
 
   constructor(parent?: Container) {
     this.parent = parent
+    this.lifetimeCheck = parent?.lifetimeCheck
   }
 
   /**
    * Bind a pre-created value to a token
    */
-  bindValue<T>(token: Token<T>, value: T): void {
-    this.bindings.set(token, {
+  bindValue<T>(token: Token<T>, value: T, options?: ActivationOptions<T>): void {
+    const binding: Binding<T> = {
       type: 'value',
       lifetime: 'singleton',
       value,
-      constructor: undefined
-    })
+      constructor: undefined,
+      onActivating: options?.onActivating,
+      onActivated: options?.onActivated,
+      onRelease: options?.onRelease,
+      autoActivate: options?.autoActivate,
+      externallyOwned: options?.externallyOwned
+    }
+    this.bindings.set(token, binding)
     this.invalidateBindingCache()
+
+    // Bound values are owned from now on, even if never resolved
+    this.trackOwnership(token, value, binding)
   }
 
   /**
@@ -165,8 +626,18 @@ export class Container {
       type: 'factory',
       lifetime: options?.lifetime || 'transient',
       factory,
+      asyncFactory: options?.asyncFactory,
       dependencies: options?.dependencies,
-      constructor: undefined
+      scopeTag: options?.scopeTag,
+      constructor: undefined,
+      implementationType: options?.implementationType,
+      interfaceType: options?.interfaceType,
+      parameters: options?.parameters,
+      onActivating: options?.onActivating,
+      onActivated: options?.onActivated,
+      onRelease: options?.onRelease,
+      autoActivate: options?.autoActivate,
+      externallyOwned: options?.externallyOwned
     })
     this.invalidateBindingCache()
   }
@@ -183,17 +654,80 @@ export class Container {
       type: 'class',
       lifetime: options?.lifetime || 'transient',
       constructor,
-      dependencies: options?.dependencies
+      implementationType: constructor,
+      interfaceType: options?.interfaceType,
+      dependencies: options?.dependencies,
+      scopeTag: options?.scopeTag,
+      onActivating: options?.onActivating,
+      onActivated: options?.onActivated,
+      onRelease: options?.onRelease,
+      autoActivate: options?.autoActivate,
+      externallyOwned: options?.externallyOwned
     }
     this.bindings.set(token, binding)
     this.invalidateBindingCache()
     
-    // Performance: Pre-compile fast transient factory for zero-dependency classes
-    if (binding.lifetime === 'transient' && (!binding.dependencies || binding.dependencies.length === 0)) {
+    // Performance: Pre-compile fast transient factory for zero-dependency classes without hooks
+    // (disposable classes need the full path so the container can track them)
+    if (
+      binding.lifetime === 'transient' &&
+      (!binding.dependencies || binding.dependencies.length === 0) &&
+      !binding.onActivating &&
+      !binding.onActivated &&
+      !isDisposable(constructor.prototype)
+    ) {
       this.fastTransientCache.set(token, () => new constructor())
     }
   }
 
+  /**
+   * Bind a token that resolves to one of several candidate tokens, chosen on every resolve
+   * The first candidate whose condition holds is resolved in place of the token, with
+   * its own lifetime; candidates without a condition always match.
+   * When every candidate has a condition, a registration inherited from the parent
+   * still applies after them.
+   * @internal Used by Builder for .when()
+   */
+  bindConditional<T>(token: Token<T>, candidates: ConditionalCandidate[]): void {
+    if (this.parent?.isRegistered(token) && candidates.every(c => c.condition)) {
+      candidates = [...candidates, { token, inheritedFrom: this.parent }]
+    }
+
+    this.bindings.set(token, {
+      type: 'factory',
+      lifetime: 'transient',
+      // The inherited registration is the parent's to verify
+      dependencies: candidates.filter(c => !c.inheritedFrom).map(c => c.token),
+      constructor: undefined,
+      candidates
+    })
+    this.fastTransientCache.delete(token)
+    this.invalidateBindingCache()
+  }
+
+  /**
+   * Decorate a bound token
+   * Every instance produced for the token is passed through the decorator before
+   * it is cached, so the decorated result keeps the binding's lifetime.
+   * Decorators stack in the order they are bound (first bound wraps innermost).
+   * Inside the decorator, resolving the token itself yields the inner instance.
+   */
+  bindDecorator<T>(token: Token<T>, decorator: Decorator<T>): void {
+    const binding = this.getBinding(token)
+    if (!binding) {
+      throw new BindingNotFoundError(token.toString())
+    }
+
+    // Decorate a copy so an inherited parent binding stays undecorated for the parent
+    this.bindings.set(token, {
+      ...binding,
+      decorators: [...(binding.decorators || []), decorator]
+    })
+    // Decorated tokens must always go through the full resolve path
+    this.fastTransientCache.delete(token)
+    this.invalidateBindingCache()
+  }
+
   /**
    * Resolve a dependency synchronously
    * Performance optimized with multiple fast paths
@@ -202,7 +736,14 @@ export class Container {
     // Try all cache levels first (ultra-fast, singleton, fast transient)
     const cached = this.tryGetFromCaches(token)
     if (cached !== undefined) {
-      return cached
+      if (!this.currentContext) {
+        return cached
+      }
+      // Called from within a factory: the cached instance is a dependency of the service being created
+      if (this.lifetimeCheck) {
+        this.checkCachedLifetime(token, this.currentContext)
+      }
+      return this.trackDependency(cached, this.currentContext)
     }
 
     // If we're already resolving (called from within a factory), reuse the context
@@ -264,7 +805,12 @@ export class Container {
       const results = tokens.map(token => {
         // Try all cache levels first
         const cached = this.tryGetFromCaches(token)
-        if (cached !== undefined) return cached
+        if (cached !== undefined) {
+          if (wasResolving && this.lifetimeCheck) {
+            this.checkCachedLifetime(token, context)
+          }
+          return cached
+        }
 
         // Full resolve with shared context
         return this.resolveWithContext(token, context)
@@ -279,25 +825,43 @@ export class Container {
     }
   }
 
+  /**
+   * Check whether a token is registered in this container or its parent chain
+   */
+  isRegistered<T>(token: Token<T>): boolean {
+    return this.getBinding(token) !== undefined
+  }
+
+  /**
+   * Resolve a dependency, or return undefined when the token is not registered
+   * Only the requested token is optional - a missing dependency of it still throws BindingNotFoundError.
+   */
+  tryResolve<T>(token: Token<T>): T | undefined {
+    return this.isRegistered(token) ? this.resolve(token) : undefined
+  }
+
   /**
    * Resolve a dependency asynchronously (supports async factories)
+   * Safe to call concurrently: racing resolves of a cached lifetime share one creation.
    */
   async resolveAsync<T>(token: Token<T>): Promise<T> {
-    // If we're already resolving (called from within a factory), reuse the context
-    if (this.currentContext) {
-      return this.resolveAsyncWithContext(token, this.currentContext)
+    // Called from within a factory - resolve as a branch of the caller's tree,
+    // so several resolveAsync() calls awaited together don't share a stack
+    const parentContext = this.currentContext
+    if (parentContext) {
+      const branch = parentContext.fork()
+      try {
+        return await this.resolveAsyncWithContext(token, branch)
+      } finally {
+        parentContext.join(branch)
+      }
     }
 
-    // New top-level resolve
-    // Performance: Use pooled context to avoid heap allocation
-    const context = Container.contextPool.acquire()
-    this.currentContext = context
-    try {
-      return await this.resolveAsyncWithContext(token, context)
-    } finally {
-      this.currentContext = undefined
-      Container.contextPool.release(context) // Return to pool for reuse
-    }
+    // New top-level resolve with its own context
+    // The context travels explicitly (never through currentContext) across awaits,
+    // so concurrent resolves don't see each other's state. Not pooled: async
+    // factories hold a container view bound to it until they settle.
+    return this.resolveAsyncWithContext(token, new ResolutionContext())
   }
 
   /**
@@ -320,9 +884,9 @@ export class Container {
       return cached
     }
 
-    // Level 3: Fast transient cache (no dependencies)
+    // Level 3: Fast transient cache (no dependencies) - strict lifetimes need the full path
     const fastFactory = this.fastTransientCache.get(token)
-    if (fastFactory) {
+    if (fastFactory && !this.lifetimeCheck) {
       return fastFactory() as T
     }
 
@@ -339,16 +903,77 @@ export class Container {
     lifetime: Lifetime,
     context?: ResolutionContext
   ): void {
-    if (lifetime === 'singleton') {
+    if (lifetime === 'per-request') {
+      context?.cachePerRequest(token, instance)
+    } else if (lifetime !== 'transient') {
+      // Singleton and (matching) lifetime scope instances are cached by their owning container
       this.singletonCache.set(token, instance)
-      this.singletonOrder.push(token)
       // Also add to ultra-fast cache
       this.ultraFastSingletonCache.set(token, instance)
-    } else if (lifetime === 'per-request' && context) {
-      context.cachePerRequest(token, instance)
     }
   }
 
+  /**
+   * Take ownership of a disposable instance so dispose() releases it
+   * Transient and per-request instances are owned by the container that resolved them
+   * @internal
+   */
+  private trackOwnership<T>(token: Token<T>, instance: T, binding: Binding<T>): void {
+    // Intercepted instances are released directly, not through their interceptors
+    instance = unwrapInterceptorProxy(instance)
+    if (
+      binding.externallyOwned ||
+      (!binding.onRelease && !isDisposable(instance)) ||
+      this.ownedSet.has(instance)
+    ) {
+      return
+    }
+    this.ownedSet.add(instance)
+    this.ownedInstances.push({ token, instance, onRelease: binding.onRelease })
+  }
+
+  /**
+   * Remember a freshly created startable and the startables it received,
+   * so start() can run dependencies first
+   * @internal
+   */
+  private trackStartable(instance: Startable, lifetime: Lifetime, dependencies?: Startable[]): void {
+    if (dependencies) {
+      Container.startDependencies.set(instance, dependencies)
+    }
+    // Only instances owned by the container are started - transients are started as dependencies
+    if (lifetime !== 'transient' && lifetime !== 'per-request') {
+      this.startables.push(instance)
+    }
+  }
+
+  /**
+   * Record a resolved startable as a dependency of the services being resolved
+   * @internal
+   */
+  private trackDependency<T>(instance: T, context: ResolutionContext): T {
+    if (isStartable(instance)) {
+      context.addStartableDependency(instance)
+    }
+    return instance
+  }
+
+  /**
+   * Run onStart() of a startable once its startable dependencies have started
+   * Independent dependencies start in parallel; each instance starts only once
+   * @internal
+   */
+  private static startInstance(instance: Startable): Promise<void> {
+    let started = Container.startPromises.get(instance)
+    if (!started) {
+      const dependencies = Container.startDependencies.get(instance) || []
+      started = Promise.all(dependencies.map(dependency => Container.startInstance(dependency)))
+        .then(() => instance.onStart())
+      Container.startPromises.set(instance, started)
+    }
+    return started
+  }
+
   /**
    * Validate and get binding with circular dependency check
    * Returns binding or throws error
@@ -372,46 +997,165 @@ export class Container {
   }
 
   /**
-   * Instantiate from binding synchronously
+   * View of this container bound to a resolution context, handed to async factories
+   * Resolves made through it - also after an await - belong to that resolve tree,
+   * while the container itself stays free for concurrent resolves. Unbind it with
+   * unbindContext() once the factory has settled.
    * @internal
    */
-  private instantiateBindingSync<T>(
-    binding: Binding<T>,
-    token: Token<T>,
-    context: ResolutionContext
-  ): T {
-    switch (binding.type) {
-      case 'value':
-        return binding.value!
-
-      case 'factory':
-        const result = binding.factory!(this) as T
-        if (result instanceof Promise) {
-          throw new Error(
-            `Async factory detected for ${token.toString()}. Use resolveAsync() instead.`
-          )
-        }
-        return result
-
-      case 'class':
-        const deps = binding.dependencies || []
-        const resolvedDeps = deps.map(dep => this.resolveWithContext(dep, context))
-        return new binding.constructor!(...resolvedDeps)
-
-      case 'inline-class':
-        return new binding.constructor!()
-
-      default:
-        throw new Error(`Unknown binding type: ${(binding as any).type}`)
-    }
+  private withContext(context: ResolutionContext): Container {
+    const view: Container = Object.create(this)
+    view.currentContext = context
+    view.contextOwner = this.withoutContext()
+    return view
   }
 
   /**
-   * Instantiate from binding asynchronously
+   * The container itself, also when called on a context-bound view (see withContext())
+   * Deferred resolvers capture it, so each later resolve starts its own resolve tree
+   * instead of joining the finished one the view is bound to.
+   * @internal
+   */
+  withoutContext(): Container {
+    return this.contextOwner || this
+  }
+
+  /**
+   * Detach a view made by withContext() from its finished resolve
+   * Factories may keep their container: later resolves through the view then start
+   * their own resolve tree, and the finished context can be garbage collected.
+   * @internal
+   */
+  private unbindContext(view: Container): void {
+    view.currentContext = undefined
+  }
+
+  /**
+   * Run user code (hooks, decorators) with the caller's resolution context,
+   * so resolves made from inside it are part of the same resolve tree
+   * @internal
+   */
+  private runInContext<R>(context: ResolutionContext, action: () => R): R {
+    const previous = this.currentContext
+    this.currentContext = context
+    try {
+      return action()
+    } finally {
+      this.currentContext = previous
+    }
+  }
+
+  /**
+   * Activate a freshly created instance: onActivating hook, then decorators
+   * @internal
+   */
+  private activate<T>(
+    binding: Binding<T>,
+    token: Token<T>,
+    instance: T,
+    context: ResolutionContext
+  ): T {
+    if (binding.onActivating) {
+      instance = this.runInContext(context, () => {
+        let current = instance
+        binding.onActivating!({
+          instance,
+          token,
+          container: this,
+          replaceInstance: (replacement: T) => {
+            current = replacement
+          }
+        })
+        return current
+      })
+    }
+
+    if (binding.decorators) {
+      instance = this.applyDecorators(binding, token, instance, context)
+    }
+
+    return instance
+  }
+
+  /**
+   * Run decorators of a binding over a freshly created instance
+   * @internal
+   */
+  private applyDecorators<T>(
+    binding: Binding<T>,
+    token: Token<T>,
+    instance: T,
+    context: ResolutionContext
+  ): T {
+    return this.runInContext(context, () => {
+      for (const decorator of binding.decorators!) {
+        context.enterDecorator(token, instance)
+        try {
+          instance = decorator(instance, this)
+        } finally {
+          context.exitDecorator(token)
+        }
+      }
+      return instance
+    })
+  }
+
+  /**
+   * Raise onActivated once the instance is cached and its resolve has completed,
+   * so handlers can resolve services that depend back on it
+   * @internal
+   */
+  private fireActivated<T>(
+    binding: Binding<T>,
+    token: Token<T>,
+    instance: T,
+    context: ResolutionContext
+  ): void {
+    this.runInContext(context, () => binding.onActivated!({ instance, token, container: this }))
+  }
+
+  /**
+   * Instantiate from binding synchronously
+   * @internal
+   */
+  private instantiateBindingSync<T>(
+    binding: Binding<T>,
+    token: Token<T>,
+    context: ResolutionContext
+  ): T {
+    switch (binding.type) {
+      case 'value':
+        return binding.value!
+
+      case 'factory':
+        const result = this.callFactory(binding.factory!, this, token, context) as T
+        if (result instanceof Promise) {
+          throw new Error(
+            `Async factory detected for ${token.toString()}. Use resolveAsync() instead.`
+          )
+        }
+        return result
+
+      case 'class':
+        const deps = binding.dependencies || []
+        const resolvedDeps = deps.map(dep => this.resolveWithContext(dep, context))
+        return new binding.constructor!(...resolvedDeps)
+
+      case 'inline-class':
+        return new binding.constructor!()
+
+      default:
+        throw new Error(`Unknown binding type: ${(binding as any).type}`)
+    }
+  }
+
+  /**
+   * Instantiate from binding asynchronously
    * @internal
    */
   private async instantiateBindingAsync<T>(
     binding: Binding<T>,
+    token: Token<T>,
     context: ResolutionContext
   ): Promise<T> {
     switch (binding.type) {
@@ -419,12 +1163,30 @@ export class Container {
         return binding.value!
 
       case 'factory':
-        return await Promise.resolve(binding.factory!(this))
+        const factory = binding.asyncFactory || binding.factory!
+        const view = this.withContext(context)
+        try {
+          return await Promise.resolve(this.callFactory(factory, view, token, context))
+        } finally {
+          this.unbindContext(view)
+        }
 
       case 'class':
         const deps = binding.dependencies || []
+        if (deps.length <= 1) {
+          const resolvedDeps = deps.length === 1 ? [await this.resolveAsyncWithContext(deps[0], context)] : []
+          return new binding.constructor!(...resolvedDeps)
+        }
+        // Dependencies resolve concurrently, each in its own branch of the context
         const resolvedDeps = await Promise.all(
-          deps.map(dep => this.resolveAsyncWithContext(dep, context))
+          deps.map(async dep => {
+            const branch = context.fork()
+            try {
+              return await this.resolveAsyncWithContext(dep, branch)
+            } finally {
+              context.join(branch)
+            }
+          })
         )
         return new binding.constructor!(...resolvedDeps)
 
@@ -444,32 +1206,308 @@ export class Container {
   }
 
   /**
-   * Dispose all singleton instances in reverse registration order
+   * Begin a new lifetime scope (unit of work, HTTP request, job, ...)
+   *
+   * The scope inherits all bindings from this container. Registrations with
+   * 'per-lifetime-scope' lifetime get one instance per scope, shared by every
+   * resolve made through the scope until it is disposed. Singletons stay owned
+   * by the container the scope was started from.
+   *
+   * Tagged scopes own the instances of 'per-matching-lifetime-scope' registrations
+   * with the same tag, shared by all nested scopes below them.
+   *
+   * @param tag Optional tag for instancePerMatchingLifetimeScope() registrations
+   *
+   * @example
+   * ```ts
+   * const request = container.beginLifetimeScope('request')
+   * try {
+   *   const transaction = request.beginLifetimeScope('transaction')
+   *   const uow = transaction.resolveType<IUnitOfWork>()
+   * } finally {
+   *   await request.dispose()
+   * }
+   * ```
    */
-  async dispose(): Promise<void> {
-    const errors: Error[] = []
+  beginLifetimeScope(tag?: ScopeTag): Container {
+    const scope = this.createChild()
+    scope.isLifetimeScope = true
+    scope.scopeTag = tag
+    return scope
+  }
 
-    // Dispose in reverse order
-    for (let i = this.singletonOrder.length - 1; i >= 0; i--) {
-      const token = this.singletonOrder[i]
-      const instance = this.singletonCache.get(token)
+  /**
+   * Verify the registration graph without creating any instances
+   *
+   * Walks the declared dependencies of every binding visible from this container -
+   * class dependencies and autowired constructor parameters - and reports all
+   * missing registrations, circular dependencies and ambiguous dependencies in one
+   * result. Dependencies resolved inside custom factory functions can't be inspected.
+   *
+   * @example
+   * ```ts
+   * const result = app.verify()
+   * if (!result.valid) {
+   *   console.error(result.missing, result.cycles, result.ambiguous)
+   * }
+   * ```
+   */
+  verify(): VerificationResult {
+    if (!this.bindingCache) {
+      this.buildBindingCache()
+    }
+    const bindings = this.bindingCache!
+    // Constructed generic types (IRepository<User>) are bound on first lookup
+    const getBinding = (token: Token<any>) => bindings.get(token) || this.closeOpenGeneric(token)
+
+    const missing: VerificationResult['missing'] = []
+    const cycles: string[][] = []
+    const lifetimeMismatches: LifetimeMismatch[] = []
+    const ambiguous = new Map<Token<any>, VerificationResult['ambiguous'][number]>()
+    const state = new Map<Token<any>, 'visiting' | 'done'>()
+    const path: Token<any>[] = []
+
+    // Depth-first walk - each binding is visited once, back edges are cycles
+    const visit = (token: Token<any>): void => {
+      const status = state.get(token)
+      if (status === 'done') {
+        return
+      }
+      if (status === 'visiting') {
+        cycles.push([...path.slice(path.indexOf(token)), token].map(t => t.toString()))
+        return
+      }
 
-      if (instance && isDisposable(instance)) {
-        try {
-          await instance.dispose()
-        } catch (error) {
-          errors.push(error as Error)
-          // Continue disposing other instances even if one fails
+      state.set(token, 'visiting')
+      path.push(token)
+
+      const binding = getBinding(token)!
+      for (const dependency of binding.dependencies || []) {
+        const dependencyBinding = getBinding(dependency)
+        if (!dependencyBinding) {
+          missing.push({ token: dependency.toString(), path: [...path, dependency].map(t => t.toString()) })
+          continue
+        }
+
+        if (binding.lifetime === 'singleton') {
+          // Conditional bindings forward to their candidates, so those are what the singleton captures
+          const captured = dependencyBinding.candidates
+            ? dependencyBinding.candidates.map(c => c.inheritedFrom
+              ? { tokens: [...path, dependency], binding: c.inheritedFrom.getBinding(dependency) }
+              : { tokens: [...path, dependency, c.token], binding: getBinding(c.token) })
+            : [{ tokens: [...path, dependency], binding: dependencyBinding }]
+          for (const { tokens, binding: capturedBinding } of captured) {
+            if (capturedBinding && capturedBinding.lifetime !== 'singleton') {
+              lifetimeMismatches.push({
+                path: tokens.map(t => t.toString()),
+                lifetimes: [...tokens.slice(0, -1).map(t => getBinding(t)!.lifetime), capturedBinding.lifetime]
+              })
+            }
+          }
+        }
+
+        const registrations = this.getMultiRegistrations(dependency).length
+        if (registrations > 1) {
+          const entry = ambiguous.get(dependency) || { token: dependency.toString(), registrations, requiredBy: [] }
+          entry.requiredBy.push(token.toString())
+          ambiguous.set(dependency, entry)
+        }
+
+        visit(dependency)
+      }
+
+      path.pop()
+      state.set(token, 'done')
+    }
+
+    for (const token of bindings.keys()) {
+      visit(token)
+    }
+
+    return {
+      valid: missing.length === 0 && cycles.length === 0 && ambiguous.size === 0 &&
+        (!this.lifetimeCheck || lifetimeMismatches.length === 0),
+      missing,
+      cycles,
+      ambiguous: [...ambiguous.values()],
+      lifetimeMismatches
+    }
+  }
+
+  /**
+   * Run verify() and throw a ContainerVerificationError listing every problem
+   * Lifetime mismatches are only listed with strict lifetimes - depending on a shorter
+   * lifetime is often deliberate.
+   * @internal Used by Builder for build({ validate: true })
+   */
+  assertValid(): void {
+    const result = this.verify()
+    if (!result.valid) {
+      throw new ContainerVerificationError(this.lifetimeCheck ? result : { ...result, lifetimeMismatches: [] })
+    }
+  }
+
+  /**
+   * Detect captive dependencies: singletons depending on transient, per-request
+   * or scoped registrations, which would keep one stale instance forever
+   *
+   * Checks the declared dependency graph right away (see verify()), then every
+   * resolve: a shorter-lived instance - newly created or cached - injected while a
+   * singleton is being created reports the full dependency chain. Child containers and lifetime scopes created
+   * afterwards inherit the check.
+   *
+   * @param mode 'throw' raises LifetimeMismatchError, 'warn' logs a console warning
+   *
+   * @example
+   * ```ts
+   * container.enableStrictLifetimes() // Throws LifetimeMismatchError
+   * container.enableStrictLifetimes('warn')
+   * ```
+   */
+  enableStrictLifetimes(mode: LifetimeCheckMode = 'throw'): void {
+    this.lifetimeCheck = mode
+    for (const mismatch of this.verify().lifetimeMismatches) {
+      this.reportLifetimeMismatch(mismatch)
+    }
+  }
+
+  /**
+   * Runtime captive dependency check before a non-singleton instance is injected
+   * @internal
+   */
+  private checkLifetime<T>(token: Token<T>, binding: Binding<T>, context: ResolutionContext): void {
+    const tokens = context.getResolvingTokens()
+    const lifetimes = tokens.map(t => this.getBinding(t)?.lifetime ?? 'transient')
+    if (!lifetimes.includes('singleton')) {
+      return
+    }
+
+    this.reportLifetimeMismatch({
+      path: [...tokens, token].map(t => t.toString()),
+      lifetimes: [...lifetimes, binding.lifetime]
+    })
+  }
+
+  /**
+   * Runtime captive dependency check for an instance served from a cache
+   * @internal
+   */
+  private checkCachedLifetime<T>(token: Token<T>, context: ResolutionContext): void {
+    const binding = this.getBinding(token)
+    if (binding && binding.lifetime !== 'singleton') {
+      this.checkLifetime(token, binding, context)
+    }
+  }
+
+  /**
+   * @internal
+   */
+  private reportLifetimeMismatch(mismatch: LifetimeMismatch): void {
+    const error = new LifetimeMismatchError(mismatch.path, mismatch.lifetimes)
+    if (this.lifetimeCheck === 'throw') {
+      throw error
+    }
+    console.warn(error.message)
+  }
+
+  /**
+   * Start the container
+   *
+   * Creates every registration of this container marked with autoActivate, then
+   * runs onStart() of all startable instances the container owns. A startable
+   * starts only after the startables it was injected with, so initialization
+   * follows the dependency graph - independent branches run in parallel.
+   * Instances start once; calling start() again starts instances created since.
+   *
+   * @example
+   * ```ts
+   * class DbPool implements Startable {
+   *   async onStart() { await this.connect() }
+   * }
+   *
+   * builder.registerType(DbPool).as<IDbPool>().autoActivate()
+   * const app = builder.build()
+   * await app.start()
+   * // ...
+   * await app.dispose()
+   * ```
+   */
+  async start(): Promise<void> {
+    // Create auto-activated registrations concurrently - shared dependencies are created once
+    const autoActivated: Token<any>[] = []
+    for (const [token, binding] of this.bindings) {
+      if (binding.autoActivate) {
+        autoActivated.push(token)
+      }
+    }
+    const instances = await Promise.all(autoActivated.map(token => this.resolveAsync(token)))
+    const activated = instances.filter(isStartable)
+
+    await Promise.all(
+      [...this.startables, ...activated].map(instance => Container.startInstance(instance))
+    )
+  }
+
+  /**
+   * Dispose all instances owned by this container in reverse creation order
+   *
+   * The container owns every disposable instance it creates - singletons, lifetime
+   * scoped, per-request and transient instances - plus bound values, unless the
+   * registration is externally owned. Resolve short-lived disposables from a
+   * lifetime scope so they are released with the scope.
+   *
+   * Instances are released with onRelease, Symbol.asyncDispose, Symbol.dispose or
+   * dispose(), whichever comes first. A failing instance doesn't stop the others:
+   * once all are released, the failures are rejected together as a DisposalError,
+   * or reported one by one to options.onError when given. Resolving afterwards
+   * creates new instances.
+   *
+   * @example
+   * ```ts
+   * await container.dispose({ onError: (error, token) => logger.warn(`${token}`, error) })
+   * ```
+   */
+  async dispose(options?: DisposeOptions): Promise<void> {
+    const failures: DisposalFailure[] = []
+
+    // Dispose in reverse order
+    for (let i = this.ownedInstances.length - 1; i >= 0; i--) {
+      const { token, instance, onRelease } = this.ownedInstances[i]
+
+      try {
+        if (onRelease) {
+          // Custom cleanup replaces the dispose() convention
+          await onRelease(instance)
+        } else {
+          await disposeInstance(instance)
+        }
+      } catch (error) {
+        // Continue disposing other instances even if one fails
+        if (options?.onError) {
+          options.onError(error, token)
+        } else {
+          failures.push({ token: token.toString(), error })
         }
       }
     }
 
-    // Clear caches
+    // Clear caches - later resolves must not return the disposed instances
     this.singletonCache.clear()
-    this.singletonOrder.length = 0
+    this.ultraFastSingletonCache.clear()
+    this.ownedInstances.length = 0
+    this.ownedSet.clear()
+    this.startables.length = 0
 
-    // Note: We don't throw errors to allow all disposals to complete
-    // In production, you might want to log these errors
+    if (failures.length > 0) {
+      throw new DisposalError(failures)
+    }
+  }
+
+  /**
+   * Dispose with `await using` - e.g. `await using scope = container.beginLifetimeScope()`
+   */
+  [asyncDisposeSymbol](): Promise<void> {
+    return this.dispose()
   }
 
   /**
@@ -481,54 +1519,224 @@ export class Container {
 
   /**
    * Resolve a named service
+   * Names are scoped per service token - pass the token when several service types use the name.
    */
-  resolveNamed<T>(name: string): T {
-    const namedRegistrations = (this as any).__namedRegistrations
-    if (!namedRegistrations) {
-      throw new Error(`Named service "${name}" not found. No named registrations exist.`)
-    }
+  resolveNamed<T>(name: string, token?: Token<T>): T {
+    return this.resolve(this.getNamedToken<T>(name, token))
+  }
+
+  /**
+   * Resolve a named service asynchronously (supports async factories)
+   */
+  async resolveNamedAsync<T>(name: string, token?: Token<T>): Promise<T> {
+    return this.resolveAsync(this.getNamedToken<T>(name, token))
+  }
+
+  /**
+   * Resolve a keyed service
+   * Keys are scoped per service token - pass the token when several service types use the key.
+   */
+  resolveKeyed<T>(key: string | symbol, token?: Token<T>): T {
+    return this.resolve(this.getKeyedToken<T>(key, token))
+  }
+
+  /**
+   * Resolve a keyed service asynchronously (supports async factories)
+   */
+  async resolveKeyedAsync<T>(key: string | symbol, token?: Token<T>): Promise<T> {
+    return this.resolveAsync(this.getKeyedToken<T>(key, token))
+  }
+
+  /**
+   * Resolve every keyed implementation of a service token as a read-only map
+   * Implementations are resolved through this container when their key is accessed.
+   */
+  resolveKeyedIndex<T>(token: Token<T>): KeyedIndex<T> {
+    return createKeyedIndex(this.getKeyedTokens(token), t => this.resolve(t))
+  }
 
-    const config = namedRegistrations.get(name)
-    if (!config) {
-      throw new Error(`Named service "${name}" not found`)
+  /**
+   * Resolve all registrations for a token
+   */
+  resolveAll<T>(token: Token<T>): T[] {
+    return this.getMultiRegistrations(token).map(r => r.container.resolve(r.token))
+  }
+
+  /**
+   * Resolve all registrations for a token asynchronously (supports async factories)
+   * Registrations are resolved concurrently; results keep registration order.
+   */
+  async resolveAllAsync<T>(token: Token<T>): Promise<T[]> {
+    return Promise.all(this.getMultiRegistrations(token).map(r => r.container.resolveAsync(r.token)))
+  }
+
+  /**
+   * Bind an open generic type by name, e.g. "IRepository" for IRepository<T>
+   * The first lookup of a constructed type such as IRepository<User> calls bind with its
+   * interface token and type arguments, and bind registers the token on this container.
+   * Bindings of a constructed type take precedence over the open generic.
+   * @internal Used by Builder for registerGeneric()
+   */
+  bindOpenGeneric(typeName: string, bind: (token: Token<any>, typeArguments: string[]) => void): void {
+    if (!this.openGenerics) {
+      this.openGenerics = new Map()
     }
+    this.openGenerics.set(typeName, bind)
+  }
 
-    return this.resolve(config.token)
+  /**
+   * Register a binding under a name for a service token
+   * A child container's name overrides the parent's for the same service token.
+   * @internal Used by Builder for .named()
+   */
+  registerNamed(serviceToken: Token<any>, name: string, bindingToken: Token<any>): void {
+    this.namedRegistrations = setKeyedRegistration(this.namedRegistrations, serviceToken, name, bindingToken)
   }
 
   /**
-   * Resolve a keyed service
+   * Register a binding under a key for a service token
+   * A child container's key overrides the parent's for the same service token.
+   * @internal Used by Builder for .keyed()
    */
-  resolveKeyed<T>(key: string | symbol): T {
-    const keyedRegistrations = (this as any).__keyedRegistrations
-    if (!keyedRegistrations) {
-      throw new Error(`Keyed service not found. No keyed registrations exist.`)
+  registerKeyed(serviceToken: Token<any>, key: string | symbol, bindingToken: Token<any>): void {
+    this.keyedRegistrations = setKeyedRegistration(this.keyedRegistrations, serviceToken, key, bindingToken)
+  }
+
+  /**
+   * Add a binding to the registrations returned by resolveAll() for a service token
+   * A child container's registrations are appended to the parent's.
+   * @internal Used by Builder
+   */
+  registerMulti(serviceToken: Token<any>, bindingToken: Token<any>): void {
+    if (!this.multiRegistrations) {
+      this.multiRegistrations = new Map()
     }
+    const tokens = this.multiRegistrations.get(serviceToken)
+    if (tokens) {
+      tokens.push(bindingToken)
+    } else {
+      this.multiRegistrations.set(serviceToken, [bindingToken])
+    }
+  }
 
-    const config = keyedRegistrations.get(key)
-    if (!config) {
-      const keyStr = typeof key === 'symbol' ? key.toString() : `"${key}"`
-      throw new Error(`Keyed service ${keyStr} not found`)
+  /**
+   * Look up the token registered under a name
+   * @internal
+   */
+  private getNamedToken<T>(name: string, token?: Token<T>): Token<T> {
+    return this.findKeyedRegistration(c => c.namedRegistrations, 'Named', name, token)
+  }
+
+  /**
+   * Look up the token registered under a key
+   * @internal
+   */
+  private getKeyedToken<T>(key: string | symbol, token?: Token<T>): Token<T> {
+    return this.findKeyedRegistration(c => c.keyedRegistrations, 'Keyed', key, token)
+  }
+
+  /**
+   * Binding tokens of all keyed registrations for a service token, in registration order
+   * A child's key overrides the parent's.
+   * @internal
+   */
+  private getKeyedTokens<T>(token: Token<T>): Map<string | symbol, Token<T>> {
+    const chain: Container[] = []
+    for (let container: Container | undefined = this; container; container = container.parent) {
+      chain.unshift(container)
     }
 
-    return this.resolve(config.token)
+    const tokens = new Map<string | symbol, Token<T>>()
+    for (const container of chain) {
+      const byKey = container.keyedRegistrations?.get(token)
+      if (byKey) {
+        for (const [key, bindingToken] of byKey) {
+          tokens.set(key, bindingToken)
+        }
+      }
+    }
+    return tokens
   }
 
   /**
-   * Resolve all registrations for a token
+   * Find the binding token of a named or keyed registration
+   * Registrations are namespaced by service token; without a token the key
+   * must belong to a single service type. The nearest container in the
+   * parent chain wins for each service token.
+   * @internal
    */
-  resolveAll<T>(token: Token<T>): T[] {
-    const multiRegistrations = (this as any).__multiRegistrations
-    if (!multiRegistrations) {
-      return []
+  private findKeyedRegistration<T>(
+    select: (container: Container) => Map<Token<any>, Map<string | symbol, Token<any>>> | undefined,
+    kind: 'Named' | 'Keyed',
+    key: string | symbol,
+    token?: Token<T>
+  ): Token<T> {
+    const keyStr = typeof key === 'symbol' ? key.toString() : `"${key}"`
+
+    // Service token -> binding token, nearest container first
+    const owners = new Map<Token<any>, Token<any>>()
+    let hasRegistrations = false
+    for (let container: Container | undefined = this; container; container = container.parent) {
+      const registrations = select(container)
+      if (!registrations) {
+        continue
+      }
+      hasRegistrations = true
+      for (const [serviceToken, byKey] of registrations) {
+        const bindingToken = byKey.get(key)
+        if (bindingToken && !owners.has(serviceToken)) {
+          owners.set(serviceToken, bindingToken)
+        }
+      }
+    }
+
+    if (!hasRegistrations) {
+      throw new Error(`${kind} service ${keyStr} not found. No ${kind.toLowerCase()} registrations exist.`)
+    }
+
+    if (token) {
+      const bindingToken = owners.get(token)
+      if (bindingToken) {
+        return bindingToken
+      }
+      const registeredFor = owners.size > 0 ? `. It is registered for ${[...owners.keys()].join(', ')}` : ''
+      throw new Error(`${kind} service ${keyStr} not found for ${token.toString()}${registeredFor}`)
     }
+    if (owners.size === 0) {
+      throw new Error(`${kind} service ${keyStr} not found`)
+    }
+    if (owners.size > 1) {
+      throw new Error(
+        `${kind} service ${keyStr} is registered for several service types: ${[...owners.keys()].join(', ')}. ` +
+        `Pass the service token to choose one.`
+      )
+    }
+    return owners.values().next().value!
+  }
 
-    const tokens = multiRegistrations.get(token)
-    if (!tokens || tokens.length === 0) {
-      return []
+  /**
+   * All registrations for a token, in registration order
+   * Ancestors' registrations come first. Each entry resolves through this
+   * container unless this container rebinds its token (e.g. a child registering
+   * the bare service token), in which case the registering container resolves it.
+   * @internal
+   */
+  private getMultiRegistrations<T>(token: Token<T>): Array<{ container: Container; token: Token<T> }> {
+    const registrants: Container[] = []
+    for (let container: Container | undefined = this; container; container = container.parent) {
+      if (container.multiRegistrations?.has(token)) {
+        registrants.unshift(container)
+      }
     }
 
-    return tokens.map((t: Token<T>) => this.resolve(t))
+    const registrations: Array<{ container: Container; token: Token<T> }> = []
+    for (const registrant of registrants) {
+      for (const bindingToken of registrant.multiRegistrations!.get(token)!) {
+        const shadowed = registrant !== this && this.getBinding(bindingToken) !== registrant.getBinding(bindingToken)
+        registrations.push({ container: shadowed ? registrant : this, token: bindingToken })
+      }
+    }
+    return registrations
   }
 
   /**
@@ -594,24 +1802,49 @@ export class Container {
    * Resolve a dependency by interface type without explicit token
    */
   resolveType<T>(typeName?: string): T {
-    // Performance: Cache token lookups to avoid repeated interfaceRegistry access
-    const key = typeName || ''
-    let token = this.interfaceTokenCache.get(key)
+    return this.resolve(this.getTypeToken<T>(typeName))
+  }
 
-    if (!token) {
-      token = this.interfaceToken<T>(typeName)
-      this.interfaceTokenCache.set(key, token)
-    }
+  /**
+   * Resolve a dependency by interface type asynchronously (supports async factories)
+   */
+  async resolveTypeAsync<T>(typeName?: string): Promise<T> {
+    return this.resolveAsync(this.getTypeToken<T>(typeName))
+  }
 
-    return this.resolve(token)
+  /**
+   * Check whether an interface type is registered in this container or its parent chain
+   */
+  isRegisteredType<T>(typeName?: string): boolean {
+    return this.isRegistered(this.getTypeToken<T>(typeName))
+  }
+
+  /**
+   * Resolve a dependency by interface type, or return undefined when it is not registered
+   */
+  resolveTypeOptional<T>(typeName?: string): T | undefined {
+    return this.tryResolve(this.getTypeToken<T>(typeName))
   }
 
   /**
    * Resolve a keyed interface
    */
-  resolveTypeKeyed<T>(key: string | symbol, _typeName?: string): T {
-    // For keyed interfaces, we use the existing resolveKeyed mechanism
-    return this.resolveKeyed<T>(key)
+  resolveTypeKeyed<T>(key: string | symbol, typeName?: string): T {
+    return this.resolveKeyed<T>(key, typeName ? this.interfaceToken<T>(typeName) : undefined)
+  }
+
+  /**
+   * Resolve a keyed interface asynchronously (supports async factories)
+   */
+  async resolveTypeKeyedAsync<T>(key: string | symbol, typeName?: string): Promise<T> {
+    return this.resolveKeyedAsync<T>(key, typeName ? this.interfaceToken<T>(typeName) : undefined)
+  }
+
+  /**
+   * Resolve every keyed implementation of an interface type as a read-only map
+   */
+  resolveTypeKeyedAll<T>(typeName?: string): KeyedIndex<T> {
+    return this.resolveKeyedIndex(this.interfaceToken<T>(typeName))
   }
 
   /**
@@ -622,37 +1855,196 @@ export class Container {
     return this.resolveAll(token)
   }
 
+  /**
+   * Resolve all registrations for an interface type asynchronously (supports async factories)
+   */
+  async resolveTypeAllAsync<T>(typeName?: string): Promise<T[]> {
+    const token = this.interfaceToken<T>(typeName)
+    return this.resolveAllAsync(token)
+  }
+
+  /**
+   * Resolve a delegate factory for an interface type: the container supplies every
+   * dependency it can resolve, the caller the remaining constructor parameters.
+   * Delegate parameters are matched to constructor parameters by name, then by type.
+   * Needs an instancePerDependency() registration - every call creates a new instance.
+   *
+   * @example
+   * ```ts
+   * const createTenantDb = container.resolveFactory<(tenantId: string) => ITenantDb>()
+   * const db = createTenantDb('acme')   // new TenantDb('acme', logger)
+   * ```
+   */
+  resolveFactory<TFactory extends (...args: any[]) => any>(
+    typeName?: string,
+    parameters?: FactoryParameter[]
+  ): TFactory {
+    const token = this.getTypeToken<ReturnType<TFactory>>(typeName)
+    const binding = this.getBinding(token)
+    if (!binding) {
+      throw new BindingNotFoundError(token.toString())
+    }
+    if (binding.lifetime !== 'transient') {
+      throw new Error(
+        `resolveFactory() needs an instancePerDependency() registration of ${token.toString()}, ` +
+        `but it is registered as ${binding.lifetime}: a shared instance cannot take new arguments.`
+      )
+    }
+
+    const names = this.matchFactoryParameters(token, binding, parameters)
+    // Each call is a new top-level resolve, also for delegates made through a context-bound view
+    const owner = this.withoutContext()
+    return ((...args: unknown[]) => {
+      const values: Record<string, unknown> = Object.create(null)
+      for (let i = 0; i < names.length; i++) {
+        values[names[i]] = args[i]
+      }
+      return owner.resolveWithArguments(token, values)
+    }) as TFactory
+  }
+
+  /**
+   * Constructor parameter each delegate parameter supplies - by name, then the first unmatched one of the same type
+   * Without delegate parameter information, the constructor parameters in order.
+   * Factory registrations get the arguments by the delegate's parameter names (InjectionContext.arguments).
+   * @internal
+   */
+  private matchFactoryParameters(token: Token<any>, binding: Binding, parameters?: FactoryParameter[]): string[] {
+    const open = binding.parameters || (binding.implementationType ? [] : undefined)
+    if (!open) {
+      if (!parameters) {
+        throw new Error(`resolveFactory() needs the delegate's parameters to call the factory of ${token.toString()}`)
+      }
+      return parameters.map(parameter => parameter.name)
+    }
+    if (!parameters) {
+      return open.map(parameter => parameter.name)
+    }
+
+    const unmatched = [...open]
+    const take = (matches: (parameter: FactoryParameter) => boolean): FactoryParameter | undefined => {
+      const index = unmatched.findIndex(matches)
+      return index === -1 ? undefined : unmatched.splice(index, 1)[0]
+    }
+    // Names first, so a parameter matched by name is not taken by another one of the same type
+    const byName = parameters.map(parameter => take(p => p.name === parameter.name))
+    return parameters.map((parameter, i) => {
+      const match = byName[i] || take(p => p.typeName === parameter.typeName)
+      if (!match) {
+        const available = open.map(p => `${p.name}: ${p.typeName}`).join(', ') || 'none'
+        throw new Error(
+          `Delegate parameter "${parameter.name}: ${parameter.typeName}" matches no constructor parameter ` +
+          `of ${token.toString()} by name or type. Parameters the caller can supply: ${available}`
+        )
+      }
+      return match.name
+    })
+  }
+
+  /**
+   * Resolve a token with delegate factory arguments, visible to its own factory only
+   * @internal
+   */
+  private resolveWithArguments<T>(token: Token<T>, args: Readonly<Record<string, unknown>>): T {
+    const parentContext = this.currentContext
+    const context = parentContext || Container.contextPool.acquire()
+    this.currentContext = context
+    context.setArguments(token, args)
+    try {
+      return this.resolveWithContext(token, context)
+    } finally {
+      context.clearArguments(token)
+      if (!parentContext) {
+        this.currentContext = undefined
+        Container.contextPool.release(context)
+      }
+    }
+  }
+
+  /**
+   * Token for an interface type name, for resolveType() and resolveTypeAsync()
+   * @internal
+   */
+  private getTypeToken<T>(typeName?: string): Token<T> {
+    // Performance: Cache token lookups to avoid repeated interfaceRegistry access
+    const key = typeName || ''
+    let token = this.interfaceTokenCache.get(key)
+
+    if (!token) {
+      token = this.interfaceToken<T>(typeName)
+      this.interfaceTokenCache.set(key, token)
+    }
+
+    return token
+  }
+
   /**
    * Internal: Resolve with context for circular dependency detection
    */
   private resolveWithContext<T>(token: Token<T>, context: ResolutionContext): T {
+    // Inside a decorator, the decorated token resolves to the instance being wrapped
+    if (context.isDecorating(token)) {
+      return context.getDecoratedInstance(token)
+    }
+
     // Validate and get binding (with circular dependency check)
     const binding = this.validateAndGetBinding(token, context)
 
+    // Conditional bindings forward to the candidate chosen for this resolve
+    if (binding.candidates) {
+      const candidate = this.selectCandidate(token, binding.candidates, context)
+      return candidate.inheritedFrom
+        ? candidate.inheritedFrom.resolveWithContext(token, context)
+        : this.resolveWithContext(candidate.token, context)
+    }
+
+    // Singletons belong to the root of the scope chain, matching-scope instances to the tagged scope
+    const owner = this.getOwningContainer(token, binding, context)
+    if (owner !== this) {
+      return owner.resolveInOwner(token, context)
+    }
+
+    // Strict mode: a singleton being created must not capture a shorter-lived instance,
+    // whether it is created now or already cached
+    if (this.lifetimeCheck && binding.lifetime !== 'singleton') {
+      this.checkLifetime(token, binding, context)
+    }
+
     // Check per-request cache
     if (binding.lifetime === 'per-request' && context.hasPerRequest(token)) {
-      return context.getPerRequest(token)
+      return this.trackDependency(context.getPerRequest(token), context)
     }
 
-    // Check singleton cache (local container only)
-    if (binding.lifetime === 'singleton' && this.singletonCache.has(token)) {
-      return this.singletonCache.get(token)
+    // Check singleton/lifetime scope cache (local container only)
+    if (binding.lifetime !== 'transient' && binding.lifetime !== 'per-request' && this.singletonCache.has(token)) {
+      return this.trackDependency(this.singletonCache.get(token), context)
     }
 
     // Mark as resolving
     context.enterResolve(token)
 
+    let instance: T
     try {
-      // Instantiate from binding
-      const instance = this.instantiateBindingSync(binding, token, context)
+      // Instantiate from binding and run activation hooks / decorators
+      instance = this.instantiateBindingSync(binding, token, context)
+      instance = this.activate(binding, token, instance, context)
 
       // Cache based on lifetime
       this.cacheInstance(token, instance, binding.lifetime, context)
+      this.trackOwnership(token, instance, binding)
 
-      return instance
+      if (isStartable(instance)) {
+        this.trackStartable(instance, binding.lifetime, context.getStartableDependencies(token))
+      }
     } finally {
       context.exitResolve(token)
     }
+
+    if (binding.onActivated) {
+      this.fireActivated(binding, token, instance, context)
+    }
+
+    return this.trackDependency(instance, context)
   }
 
   /**
@@ -662,33 +2054,223 @@ export class Container {
     token: Token<T>,
     context: ResolutionContext
   ): Promise<T> {
+    // Inside a decorator, the decorated token resolves to the instance being wrapped
+    if (context.isDecorating(token)) {
+      return context.getDecoratedInstance(token)
+    }
+
     // Validate and get binding (with circular dependency check)
     const binding = this.validateAndGetBinding(token, context)
 
-    // Check per-request cache
-    if (binding.lifetime === 'per-request' && context.hasPerRequest(token)) {
-      return context.getPerRequest(token)
+    // Conditional bindings forward to the candidate chosen for this resolve
+    if (binding.candidates) {
+      const candidate = this.selectCandidate(token, binding.candidates, context)
+      return candidate.inheritedFrom
+        ? candidate.inheritedFrom.resolveAsyncWithContext(token, context)
+        : this.resolveAsyncWithContext(candidate.token, context)
+    }
+
+    // Singletons belong to the root of the scope chain, matching-scope instances to the tagged scope
+    const owner = this.getOwningContainer(token, binding, context)
+    if (owner !== this) {
+      return owner.resolveAsyncWithContext(token, context)
+    }
+
+    // Strict mode: a singleton being created must not capture a shorter-lived instance,
+    // whether it is created now, already cached or still being created
+    if (this.lifetimeCheck && binding.lifetime !== 'singleton') {
+      this.checkLifetime(token, binding, context)
+    }
+
+    if (binding.lifetime === 'transient') {
+      return this.trackDependency(await this.createAsync(token, binding, context), context)
+    }
+
+    // Check per-request cache, then singleton/lifetime scope cache (local container only)
+    const perRequest = binding.lifetime === 'per-request'
+    if (perRequest ? context.hasPerRequest(token) : this.singletonCache.has(token)) {
+      const cached = perRequest ? context.getPerRequest(token) : this.singletonCache.get(token)
+      return this.trackDependency(cached, context)
+    }
+
+    // Another resolve (or branch of this one) is already creating the instance - share its result
+    const pendingInstances = perRequest ? context.pendingPerRequest : this.pendingInstances
+    const pending = pendingInstances.get(token)
+    if (pending) {
+      return this.trackDependency(await this.awaitPending(token, pending, context), context)
+    }
+
+    const promise = this.createAsync(token, binding, context)
+    pendingInstances.set(token, { promise, context })
+    try {
+      return this.trackDependency(await promise, context)
+    } finally {
+      pendingInstances.delete(token)
+    }
+  }
+
+  /**
+   * Describe where a token is being injected: the registration being created that
+   * requested it (the innermost other token on the stack) and the path leading there
+   * @internal
+   */
+  private createInjectionContext(token: Token<any>, context: ResolutionContext): InjectionContext {
+    const tokens = context.getResolvingTokens().filter(t => t !== token)
+    const consumerToken = tokens[tokens.length - 1]
+    const consumerBinding = consumerToken && this.getBinding(consumerToken)
+    return {
+      token,
+      path: tokens.map(t => t.toString()),
+      consumerToken,
+      consumer: consumerBinding?.implementationType,
+      consumerName: consumerBinding?.implementationType?.name,
+      consumerType: consumerBinding?.interfaceType,
+      arguments: context.getArguments(token)
+    }
+  }
+
+  /**
+   * Call a binding's factory, with the injection context if it declares the parameter
+   * @internal
+   */
+  private callFactory<T>(
+    factory: Factory<T>,
+    container: Container,
+    token: Token<T>,
+    context: ResolutionContext
+  ): T | Promise<T> {
+    // Performance: Most factories only take the container - skip building the context for them
+    if (factory.length > 1) {
+      return factory(container, this.createInjectionContext(token, context))
+    }
+    return (factory as (container: Container) => T | Promise<T>)(container)
+  }
+
+  /**
+   * First candidate of a conditional binding whose condition holds for this resolve
+   * @internal
+   */
+  private selectCandidate<T>(
+    token: Token<T>,
+    candidates: ConditionalCandidate[],
+    context: ResolutionContext
+  ): ConditionalCandidate {
+    const conditionContext: ConditionContext = { ...this.createInjectionContext(token, context), container: this }
+    for (const candidate of candidates) {
+      if (!candidate.condition || candidate.condition(conditionContext)) {
+        return candidate
+      }
+    }
+
+    const pathStr = conditionContext.path.length > 0 ? `\n  Dependency path: ${conditionContext.path.join(' -> ')}` : ''
+    throw new Error(
+      `No registration of ${token.toString()} applies: every when() condition failed ` +
+      `and there is no unconditional registration.${pathStr}`
+    )
+  }
+
+  /**
+   * Wait for an instance another resolve is creating
+   * Throws CircularDependencyError instead of waiting forever when that
+   * resolve is itself waiting for something on this resolve's path.
+   * @internal
+   */
+  private async awaitPending<T>(
+    token: Token<T>,
+    pending: PendingInstance,
+    context: ResolutionContext
+  ): Promise<T> {
+    const cycle = context.findWaitCycle(token, pending.context)
+    if (cycle) {
+      throw new CircularDependencyError([
+        ...context.getPath(),
+        token.toString(),
+        ...cycle.map(t => t.toString())
+      ])
     }
 
-    // Check singleton cache (local container only)
-    if (binding.lifetime === 'singleton' && this.singletonCache.has(token)) {
-      return this.singletonCache.get(token)
+    context.beginAwait(token, pending.context)
+    try {
+      return await pending.promise
+    } finally {
+      context.endAwait(token)
     }
+  }
 
+  /**
+   * Create, activate and cache an instance asynchronously
+   * @internal
+   */
+  private async createAsync<T>(token: Token<T>, binding: Binding<T>, context: ResolutionContext): Promise<T> {
     // Mark as resolving
     context.enterResolve(token)
 
+    let instance: T
     try {
-      // Instantiate from binding asynchronously
-      const instance = await this.instantiateBindingAsync(binding, context)
+      // Instantiate from binding asynchronously and run activation hooks / decorators
+      instance = await this.instantiateBindingAsync(binding, token, context)
+      instance = this.activate(binding, token, instance, context)
 
       // Cache based on lifetime
       this.cacheInstance(token, instance, binding.lifetime, context)
+      this.trackOwnership(token, instance, binding)
 
-      return instance
+      if (isStartable(instance)) {
+        this.trackStartable(instance, binding.lifetime, context.getStartableDependencies(token))
+      }
     } finally {
       context.exitResolve(token)
     }
+
+    if (binding.onActivated) {
+      this.fireActivated(binding, token, instance, context)
+    }
+
+    return instance
+  }
+
+  /**
+   * Find the container that owns (creates and caches) instances of a binding
+   * Singletons resolved through a lifetime scope are owned by the nearest
+   * non-scope ancestor, unless the scope itself overrides the binding.
+   * Matching-scope instances are owned by the nearest scope with the binding's tag.
+   * @internal
+   */
+  private getOwningContainer<T>(
+    token: Token<T>,
+    binding: Binding<T>,
+    context: ResolutionContext
+  ): Container {
+    let owner: Container | undefined = this
+    if (binding.lifetime === 'singleton') {
+      while (owner.isLifetimeScope && owner.parent && !owner.bindings.has(token)) {
+        owner = owner.parent
+      }
+      return owner
+    }
+
+    if (binding.lifetime === 'per-matching-lifetime-scope') {
+      while (owner && !(owner.isLifetimeScope && owner.scopeTag === binding.scopeTag)) {
+        owner = owner.parent
+      }
+      if (!owner) {
+        throw new MatchingScopeNotFoundError(
+          binding.scopeTag!,
+          [...context.getPath(), token.toString()]
+        )
+      }
+    }
+
+    return owner
+  }
+
+  /**
+   * Resolve in the owning container, sharing the caller's resolution context
+   * so circular detection and per-request caching span the whole resolve tree
+   * @internal
+   */
+  private resolveInOwner<T>(token: Token<T>, context: ResolutionContext): T {
+    return this.runInContext(context, () => this.resolveWithContext(token, context))
   }
 
   /**
@@ -701,7 +2283,44 @@ export class Container {
       this.buildBindingCache()
     }
 
-    return this.bindingCache!.get(token)
+    return this.bindingCache!.get(token) || this.closeOpenGeneric(token)
+  }
+
+  /**
+   * Bind a constructed generic type (IRepository<User>) from an open generic
+   * registration in the parent chain. The closed binding lives in the registering
+   * container, so singletons are shared by its children.
+   * @internal
+   */
+  private closeOpenGeneric<T>(token: Token<T>): Binding<T> | undefined {
+    const generic = token.description ? parseGenericTypeName(token.description) : undefined
+    if (!generic) {
+      return undefined
+    }
+
+    for (let container: Container | undefined = this; container; container = container.parent) {
+      const bind = container.openGenerics?.get(generic.name)
+      if (!bind) {
+        continue
+      }
+
+      // Only interface tokens are closed - not tokens that merely look generic
+      if (this.interfaceToken(token.description!) !== token) {
+        return undefined
+      }
+
+      if (!container.bindings.has(token)) {
+        bind(token, generic.typeArguments)
+      }
+      const binding = container.bindings.get(token)
+      // The flat cache of a child predates the closed binding
+      if (binding && container !== this) {
+        this.bindingCache?.set(token, binding)
+      }
+      return binding
+    }
+
+    return undefined
   }
 
   /**
@@ -2,6 +2,8 @@
  * Error classes for NovaDI container
  */
 
+import type { Lifetime, VerificationResult } from './container.js'
+
 export class ContainerError extends Error {
   constructor(message: string) {
     super(message)
@@ -23,3 +25,77 @@ export class CircularDependencyError extends ContainerError {
     this.name = 'CircularDependencyError'
   }
 }
+
+export class MatchingScopeNotFoundError extends ContainerError {
+  constructor(tag: string | symbol, path: string[]) {
+    const tagStr = typeof tag === 'symbol' ? tag.toString() : `"${tag}"`
+    super(
+      `No lifetime scope tagged ${tagStr} is visible from the scope in which the instance was requested.\n` +
+      `  Dependency path: ${path.join(' -> ')}\n` +
+      `  Resolve it from a scope started with beginLifetimeScope(${tagStr}) or one of its nested scopes.`
+    )
+    this.name = 'MatchingScopeNotFoundError'
+  }
+}
+
+/**
+ * A single instance that failed to dispose
+ */
+export interface DisposalFailure {
+  token: string
+  error: unknown
+}
+
+export class DisposalError extends ContainerError {
+  /** Causes in disposal order (AggregateError-style) */
+  readonly errors: unknown[]
+  readonly failures: DisposalFailure[]
+
+  constructor(failures: DisposalFailure[]) {
+    const details = failures
+      .map(f => `  ${f.token}: ${f.error instanceof Error ? f.error.message : String(f.error)}`)
+      .join('\n')
+    super(`Failed to dispose ${failures.length} instance(s):\n${details}`)
+    this.name = 'DisposalError'
+    this.failures = failures
+    this.errors = failures.map(f => f.error)
+  }
+}
+
+export class LifetimeMismatchError extends ContainerError {
+  readonly path: string[]
+  readonly lifetimes: Lifetime[]
+
+  constructor(path: string[], lifetimes: Lifetime[]) {
+    const captor = lifetimes.lastIndexOf('singleton', lifetimes.length - 2)
+    const chain = path.map((token, i) => `${token} (${lifetimes[i]})`).join(' -> ')
+    super(
+      `Lifetime mismatch: singleton ${path[captor]} would hold on to ${lifetimes[lifetimes.length - 1]} ` +
+      `${path[path.length - 1]} for the container's lifetime.\n` +
+      `  Dependency path: ${chain}`
+    )
+    this.name = 'LifetimeMismatchError'
+    this.path = path
+    this.lifetimes = lifetimes
+  }
+}
+
+export class ContainerVerificationError extends ContainerError {
+  readonly result: VerificationResult
+
+  constructor(result: VerificationResult) {
+    const lines = [
+      ...result.missing.map(m => `  Missing: ${m.token} (dependency path: ${m.path.join(' -> ')})`),
+      ...result.cycles.map(c => `  Circular: ${c.join(' -> ')}`),
+      ...result.ambiguous.map(a =>
+        `  Ambiguous: ${a.token} has ${a.registrations} registrations but is injected as a single instance into ${a.requiredBy.join(', ')}`
+      ),
+      ...result.lifetimeMismatches.map(m =>
+        `  Lifetime mismatch: ${m.path.map((token, i) => `${token} (${m.lifetimes[i]})`).join(' -> ')}`
+      )
+    ]
+    super(`Container verification failed with ${lines.length} problem(s):\n${lines.join('\n')}`)
+    this.name = 'ContainerVerificationError'
+    this.result = result
+  }
+}
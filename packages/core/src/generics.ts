@@ -0,0 +1,46 @@
+/**
+ * Generic type names for open generic registrations
+ * The transformer names constructed generic types with their type arguments, e.g. "IRepository<User>"
+ */
+
+/**
+ * Split a constructed generic type name into its name and type arguments
+ * "IRepository<User>" → { name: "IRepository", typeArguments: ["User"] }
+ * Returns undefined for names without type arguments.
+ */
+export function parseGenericTypeName(typeName: string): { name: string; typeArguments: string[] } | undefined {
+  const open = typeName.indexOf('<')
+  if (open <= 0 || !typeName.endsWith('>')) {
+    return undefined
+  }
+
+  // Split on top-level commas only: "IMap<string, IList<User>>" has two arguments
+  const typeArguments: string[] = []
+  let depth = 0
+  let start = open + 1
+  for (let i = start; i < typeName.length - 1; i++) {
+    const char = typeName[i]
+    if (char === '<') {
+      depth++
+    } else if (char === '>') {
+      depth--
+    } else if (char === ',' && depth === 0) {
+      typeArguments.push(typeName.slice(start, i).trim())
+      start = i + 1
+    }
+  }
+  typeArguments.push(typeName.slice(start, typeName.length - 1).trim())
+
+  return { name: typeName.slice(0, open), typeArguments }
+}
+
+/**
+ * Replace type parameter names in a type name with the closed type arguments
+ * ("IDbSet<T>", ["T"], ["User"]) → "IDbSet<User>"
+ */
+export function closeTypeName(typeName: string, typeParameters: readonly string[], typeArguments: readonly string[]): string {
+  return typeName.replace(/[A-Za-z_$][\w$]*/g, identifier => {
+    const index = typeParameters.indexOf(identifier)
+    return index !== -1 && index < typeArguments.length ? typeArguments[index] : identifier
+  })
+}
@@ -4,15 +4,44 @@ export { Token, token } from './token.js'
 export type { Token as TokenType } from './token.js'
 
 export { Container } from './container.js'
-export type { Lifetime, BindingOptions, Factory } from './container.js'
+export type {
+  Lifetime,
+  BindingOptions,
+  Factory,
+  Decorator,
+  ScopeTag,
+  ActivationOptions,
+  ActivatingEvent,
+  ActivatedEvent,
+  Startable,
+  DisposeOptions,
+  VerificationResult,
+  LifetimeMismatch,
+  LifetimeCheckMode,
+  ConditionContext,
+  InjectionContext,
+  FactoryParameter
+} from './container.js'
 
 export { Builder, RegistrationBuilder } from './builder.js'
-export type { Module, AutoWireOptions } from './builder.js'
+export type { Module, AutoWireOptions, PropertyAutoWireOptions, BuildOptions, RegistrationState } from './builder.js'
 
-export { autowire } from './autowire.js'
+export { autowire, autowireAsync, autowireProperties, autowirePropertiesAsync } from './autowire.js'
+export type { DependencyDescriptor } from './autowire.js'
+
+export type { KeyedIndex } from './keyed-index.js'
+export type { Lazy } from './lazy.js'
+
+export { createInterceptorProxy } from './interception.js'
+export type { Interceptor, Invocation } from './interception.js'
 
 export {
   ContainerError,
   BindingNotFoundError,
-  CircularDependencyError
+  CircularDependencyError,
+  MatchingScopeNotFoundError,
+  DisposalError,
+  ContainerVerificationError,
+  LifetimeMismatchError
 } from './errors.js'
+export type { DisposalFailure } from './errors.js'
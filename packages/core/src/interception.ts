@@ -0,0 +1,110 @@
+/**
+ * Method interception (AOP) for NovaDI registrations
+ * Wraps resolved instances in a Proxy so cross-cutting concerns stay out of business classes
+ */
+
+/**
+ * A single intercepted method call
+ */
+export interface Invocation {
+  /** The wrapped instance (not the proxy) */
+  readonly target: any
+  /** Name of the called method */
+  readonly method: string | symbol
+  /** Call arguments - may be replaced or mutated before proceed() */
+  args: any[]
+  /**
+   * Continue with the next interceptor, or the target method when none are left.
+   * Returns the method's result as-is (a Promise for async methods).
+   */
+  proceed(): any
+}
+
+/**
+ * Cross-cutting concern applied around every method call of an intercepted instance
+ *
+ * @example
+ * ```ts
+ * class TimingInterceptor implements Interceptor {
+ *   async intercept(invocation: Invocation) {
+ *     const start = performance.now()
+ *     try {
+ *       return await invocation.proceed()
+ *     } finally {
+ *       console.log(`${String(invocation.method)} took ${performance.now() - start}ms`)
+ *     }
+ *   }
+ * }
+ * ```
+ */
+export interface Interceptor {
+  intercept(invocation: Invocation): any
+}
+
+// Interceptor proxies -> the instances they wrap
+const proxyTargets = new WeakMap<object, object>()
+
+/**
+ * Run the interceptor chain from position index, ending in the target method
+ * @internal
+ */
+function invoke(
+  target: any,
+  method: string | symbol,
+  original: Function,
+  args: any[],
+  interceptors: Interceptor[],
+  index: number
+): any {
+  if (index === interceptors.length) {
+    return original.apply(target, args)
+  }
+
+  const invocation: Invocation = {
+    target,
+    method,
+    args,
+    proceed: () => invoke(target, method, original, invocation.args, interceptors, index + 1)
+  }
+
+  return interceptors[index].intercept(invocation)
+}
+
+/**
+ * Wrap an instance so every method call runs through the interceptors in order
+ * (first interceptor is outermost). Non-function properties pass through untouched.
+ */
+export function createInterceptorProxy<T extends object>(target: T, interceptors: Interceptor[]): T {
+  // Performance: Reuse method wrappers so repeated property access doesn't allocate
+  const wrappers = new Map<string | symbol, { original: Function; wrapper: Function }>()
+
+  const proxy = new Proxy(target, {
+    get(obj, property) {
+      const value = Reflect.get(obj, property, obj)
+      if (typeof value !== 'function' || property === 'constructor') {
+        return value
+      }
+
+      const cached = wrappers.get(property)
+      if (cached && cached.original === value) {
+        return cached.wrapper
+      }
+
+      const wrapper = (...args: any[]) => invoke(obj, property, value, args, interceptors, 0)
+      wrappers.set(property, { original: value, wrapper })
+      return wrapper
+    }
+  })
+  proxyTargets.set(proxy, target)
+  return proxy
+}
+
+/**
+ * The instance an interceptor proxy wraps, or the instance itself for anything else
+ * The container releases intercepted instances through it, so interceptors can't
+ * swallow or change the disposal.
+ * @internal
+ */
+export function unwrapInterceptorProxy<T>(instance: T): T {
+  return (proxyTargets.get(instance as any) as T | undefined) ?? instance
+}
@@ -0,0 +1,92 @@
+/**
+ * Keyed index for NovaDI - picks a keyed implementation at runtime
+ * without injecting the container itself (no service locator)
+ */
+
+import type { Token } from './token.js'
+
+/**
+ * Read-only, map-like lookup of every keyed implementation of a service type
+ * Implementations are resolved when their key is accessed, so unused ones are never created.
+ *
+ * @example
+ * ```ts
+ * class CheckoutService {
+ *   constructor(private providers: KeyedIndex<IPaymentProvider>) {}
+ *
+ *   pay(method: string, amount: number) {
+ *     const provider = this.providers.get(method)
+ *     if (!provider) throw new Error(`Unsupported payment method: ${method}`)
+ *     return provider.charge(amount)
+ *   }
+ * }
+ * ```
+ */
+export interface KeyedIndex<T> extends Iterable<[string | symbol, T]> {
+  /** Number of registered keys */
+  readonly size: number
+  /** Resolve the implementation registered under a key, or undefined for unknown keys */
+  get(key: string | symbol): T | undefined
+  /** Check whether a key is registered, without resolving anything */
+  has(key: string | symbol): boolean
+  /** Registered keys, in registration order */
+  keys(): IterableIterator<string | symbol>
+  /** Resolve every implementation, in registration order */
+  values(): IterableIterator<T>
+  /** Resolve every implementation with its key, in registration order */
+  entries(): IterableIterator<[string | symbol, T]>
+}
+
+/**
+ * Lazy KeyedIndex over binding tokens
+ * @internal
+ */
+class LazyKeyedIndex<T> implements KeyedIndex<T> {
+  constructor(
+    private readonly tokens: ReadonlyMap<string | symbol, Token<T>>,
+    private readonly resolve: (token: Token<T>) => T
+  ) {}
+
+  get size(): number {
+    return this.tokens.size
+  }
+
+  get(key: string | symbol): T | undefined {
+    const token = this.tokens.get(key)
+    return token ? this.resolve(token) : undefined
+  }
+
+  has(key: string | symbol): boolean {
+    return this.tokens.has(key)
+  }
+
+  keys(): IterableIterator<string | symbol> {
+    return this.tokens.keys()
+  }
+
+  *values(): IterableIterator<T> {
+    for (const token of this.tokens.values()) {
+      yield this.resolve(token)
+    }
+  }
+
+  *entries(): IterableIterator<[string | symbol, T]> {
+    for (const [key, token] of this.tokens) {
+      yield [key, this.resolve(token)]
+    }
+  }
+
+  [Symbol.iterator](): IterableIterator<[string | symbol, T]> {
+    return this.entries()
+  }
+}
+
+/**
+ * Create a KeyedIndex that resolves each key's binding token on access
+ */
+export function createKeyedIndex<T>(
+  tokens: ReadonlyMap<string | symbol, Token<T>>,
+  resolve: (token: Token<T>) => T
+): KeyedIndex<T> {
+  return new LazyKeyedIndex(tokens, resolve)
+}
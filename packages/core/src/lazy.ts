@@ -0,0 +1,60 @@
+/**
+ * Lazy for NovaDI - defers resolving a dependency until it is first used
+ */
+
+/**
+ * Dependency that is resolved on first access of value, then cached
+ * Keeps expensive initialization out of startup, and lets two services depend on
+ * each other without a CircularDependencyError, as long as neither uses the other
+ * in its constructor.
+ *
+ * @example
+ * ```ts
+ * class ReportController {
+ *   constructor(private engine: Lazy<IReportEngine>) {}
+ *
+ *   render(id: string) {
+ *     return this.engine.value.render(id)   // Resolved here, once
+ *   }
+ * }
+ * ```
+ *
+ * A parameter typed `() => IReportEngine` is not cached instead: every call
+ * resolves again, so the registration's lifetime decides what it returns.
+ */
+export interface Lazy<T> {
+  /** Resolve the dependency on first access; later accesses return the same instance */
+  readonly value: T
+  /** Whether value has been resolved yet */
+  readonly isValueCreated: boolean
+}
+
+/**
+ * Lazy over a resolve callback
+ * @internal
+ */
+class DeferredValue<T> implements Lazy<T> {
+  private created = false
+  private instance: T | undefined
+
+  constructor(private readonly resolve: () => T) {}
+
+  get value(): T {
+    if (!this.created) {
+      this.instance = this.resolve()
+      this.created = true
+    }
+    return this.instance as T
+  }
+
+  get isValueCreated(): boolean {
+    return this.created
+  }
+}
+
+/**
+ * Create a Lazy that calls resolve on first access of value
+ */
+export function createLazy<T>(resolve: () => T): Lazy<T> {
+  return new DeferredValue(resolve)
+}
@@ -3,9 +3,13 @@
  *
  * Automatically injects type names into:
  * - .as<T>() → .as<T>("TypeName")
- * - .resolveType<T>() → .resolveType<T>("TypeName")
+ * - .resolveType<T>() → .resolveType<T>("TypeName") (also the All/Async/KeyedAll/Optional variants and .isRegisteredType<T>())
+ * - .resolveTypeKeyed<T>(key) → .resolveTypeKeyed<T>(key, "TypeName") (also .asKeyedInterface<T>(key))
  * - .bindInterface<T>(value) → .bindInterface<T>(value, "TypeName")
  * - .registerType(X) → .registerType(X).autoWire({ map: {...} }) (default autowiring)
+ * - .registerGeneric(X) → .registerGeneric(X).autoWire({ mapResolvers: [...], typeParameters: ["T"] })
+ * - .registerType(X).propertiesAutowired() → .propertiesAutowired({ properties: { logger: { typeName: "ILogger" } } })
+ * - .resolveFactory<(tenantId: string) => T>() → .resolveFactory<...>("TypeName", [{ name: "tenantId", typeName: "string" }])
  *
  * Usage in tsconfig.json:
  * {
@@ -3,23 +3,61 @@
  *
  * Automatically injects type names into:
  * - .as<T>() → .as<T>("TypeName")
- * - .resolveType<T>() → .resolveType<T>("TypeName")
+ * - .intercept<T>() → .intercept<T>("TypeName")
+ * - .resolveType<T>() → .resolveType<T>("TypeName") (also the All/Async/KeyedAll/Optional variants and .isRegisteredType<T>())
+ * - .resolveFactory<(tenantId: string) => T>() → .resolveFactory<...>("TypeName", [{ name: "tenantId", typeName: "string" }])
+ * - .resolveTypeKeyed<T>(key) → .resolveTypeKeyed<T>(key, "TypeName") (also .asKeyedInterface<T>(key))
  * - .bindInterface<T>(value) → .bindInterface<T>(value, "TypeName")
  * - .registerType(X) → .registerType(X).autoWire({ mapResolvers: [...] }) (default autowiring)
+ * - .registerDecorator(X) → .registerDecorator(X).autoWire({ mapResolvers: [...] }) (same autowiring)
+ * - .registerGeneric(X) → .registerGeneric(X).autoWire({ mapResolvers: [...], typeParameters: ["T"] })
+ * - .registerType(X).propertiesAutowired() → .propertiesAutowired({ properties: { logger: { typeName: "ILogger" } } })
+ *
+ * Generic types keep their type arguments in the type name:
+ * .as<IRepository<User>>() → .as<IRepository<User>>("IRepository<User>")
  *
  * Array-based autowiring (minification-safe, O(1) performance):
  * The transformer generates a resolver array in parameter position order:
  * Example: constructor(eventBus: IEventBus, apiKey: string, logger: ILogger)
  * Transforms to: .autoWire({ mapResolvers: [
- *   (c) => c.resolveType("IEventBus"),  // Position 0
- *   undefined,                                // Position 1 (primitive)
- *   (c) => c.resolveType("ILogger")      // Position 2
+ *   { typeName: "IEventBus" },  // Position 0
+ *   undefined,                  // Position 1 (primitive)
+ *   { typeName: "ILogger" }     // Position 2
  * ]})
  *
+ * Wrapper parameter types get a descriptor kind:
+ * constructor(providers: KeyedIndex<IPaymentProvider>) → { typeName: "IPaymentProvider", kind: "keyedIndex" }
+ * constructor(handlers: IEventHandler[]) → { typeName: "IEventHandler", kind: "all" } (also ReadonlyArray/Iterable)
+ * constructor(engine: Lazy<IReportEngine>) → { typeName: "IReportEngine", kind: "lazy" }
+ * constructor(createEngine: () => IReportEngine) → { typeName: "IReportEngine", kind: "func" }
+ * constructor(createDb: (tenantId: string) => ITenantDb) → {
+ *   typeName: "ITenantDb", kind: "func", parameters: [{ name: "tenantId", typeName: "string" }]
+ * }
+ *
+ * Parameters without DI are recorded for delegate factories, which supply them by name or type:
+ * constructor(tenantId: string, logger: ILogger) → .autoWire({
+ *   mapResolvers: [undefined, { typeName: "ILogger" }],
+ *   parameters: [{ index: 0, name: "tenantId", typeName: "string" }]
+ * })
+ *
+ * Optional and defaulted parameters resolve to undefined when nothing is registered:
+ * constructor(logger?: ILogger, cache: ICache = new NoopCache()) → [
+ *   { typeName: "ILogger", optional: true },
+ *   { typeName: "ICache", optional: true }
+ * ]
+ *
+ * Property injection uses the same descriptors, keyed by field name. Only typed,
+ * non-primitive fields without an initializer are injected:
+ * class ReportElement { logger!: ILogger; reports?: IReportService; count = 0 } → {
+ *   logger: { typeName: "ILogger" },
+ *   reports: { typeName: "IReportService", optional: true }
+ * }
+ *
  * Benefits:
  * - Minification-safe: Array position is immutable
  * - Refactoring-friendly: Transformer regenerates on recompile
  * - Optimal performance: O(1) array access per parameter
+ * - Inspectable: Descriptors let Container.verify() walk the graph without resolving
  *
  * Usage in tsconfig.json:
  * {
@@ -35,6 +73,70 @@
 
 import * as ts from 'typescript'
 
+/**
+ * Registration methods whose constructor argument gets default autowiring
+ */
+const AUTOWIRED_REGISTRATION_METHODS = ['registerType', 'registerDecorator', 'registerGeneric']
+
+/**
+ * Registration methods that take the type name of their type argument as first argument
+ */
+const TYPE_NAME_METHODS = ['as', 'intercept']
+
+/**
+ * Constructor parameter wrapper types and the descriptor kind they autowire to
+ */
+const WRAPPER_DESCRIPTOR_KINDS: Record<string, string> = {
+  KeyedIndex: 'keyedIndex',
+  Array: 'all',
+  ReadonlyArray: 'all',
+  Iterable: 'all',
+  Lazy: 'lazy'
+}
+
+/**
+ * Autowired constructor parameter, in position order
+ * typeName is null for primitives and parameters without DI
+ */
+interface ResolverEntry {
+  index: number
+  typeName: string | null
+  kind?: string
+  optional?: boolean
+  /** Parameters of a delegate factory type */
+  parameters?: FactoryParameterEntry[]
+  /** Name and type of a parameter without DI - supplied by delegate factories */
+  runtimeParameter?: FactoryParameterEntry
+}
+
+/**
+ * Parameter of a delegate factory type, or a constructor parameter a delegate factory supplies
+ */
+interface FactoryParameterEntry {
+  name: string
+  typeName: string
+}
+
+/**
+ * Wrapper type detected in a parameter or property type (KeyedIndex<T>, T[], Lazy<T>, () => T, ...)
+ */
+interface WrapperEntry {
+  typeName: string | null
+  kind: string
+  parameters?: FactoryParameterEntry[]
+}
+
+/**
+ * Autowired property, by field name
+ */
+interface PropertyEntry {
+  name: string
+  typeName: string
+  kind?: string
+  optional?: boolean
+  parameters?: FactoryParameterEntry[]
+}
+
 export default function novadiTransformer(program: ts.Program | null): ts.TransformerFactory<ts.SourceFile> {
   // If no program is provided (e.g., in Vite/Vitest environment), return basic transformer
   const checker = program?.getTypeChecker()
@@ -51,21 +153,38 @@ export default function novadiTransformer(program: ts.Program | null): ts.Transf
             if (transformedAutowire !== node) {
               return transformedAutowire
             }
+
+            const transformedProperties = transformPropertiesAutowired(node, context, checker)
+            if (transformedProperties !== node) {
+              return ts.visitEachChild(transformedProperties, visitor, context)
+            }
           }
 
+          // Keep visiting inside transformed calls - the rest of the chain and
+          // factory arguments (e.g. (c) => c.resolveType<T>()) may need injection too
           const transformed = transformAsInterface(node, context)
           if (transformed !== node) {
-            return transformed
+            return ts.visitEachChild(transformed, visitor, context)
           }
 
           const transformedResolve = transformResolveInterface(node, context)
           if (transformedResolve !== node) {
-            return transformedResolve
+            return ts.visitEachChild(transformedResolve, visitor, context)
+          }
+
+          const transformedFactory = transformResolveFactory(node, context, checker)
+          if (transformedFactory !== node) {
+            return ts.visitEachChild(transformedFactory, visitor, context)
           }
 
           const transformedBind = transformBindInterface(node, context)
           if (transformedBind !== node) {
-            return transformedBind
+            return ts.visitEachChild(transformedBind, visitor, context)
+          }
+
+          const transformedKeyed = transformKeyedInterface(node, context)
+          if (transformedKeyed !== node) {
+            return ts.visitEachChild(transformedKeyed, visitor, context)
           }
         }
 
@@ -78,7 +197,7 @@ export default function novadiTransformer(program: ts.Program | null): ts.Transf
 }
 
 /**
- * Transform .as<T>() to .as<T>("TypeName")
+ * Transform .as<T>() to .as<T>("TypeName") (and .intercept<T>() likewise)
  */
 function transformAsInterface(
   node: ts.CallExpression,
@@ -90,7 +209,7 @@ function transformAsInterface(
   }
 
   const propAccess = node.expression
-  if (propAccess.name.text !== 'as') {
+  if (!TYPE_NAME_METHODS.includes(propAccess.name.text)) {
     return node
   }
 
@@ -99,8 +218,8 @@ function transformAsInterface(
     return node
   }
 
-  // If already has a string argument, don't transform
-  if (node.arguments.length > 0 && ts.isStringLiteral(node.arguments[0])) {
+  // Skip if an argument is already given - a type name (literal or variable) or a token
+  if (node.arguments.length > 0) {
     return node
   }
 
@@ -165,8 +284,27 @@ function transformBindInterface(
   )
 }
 
+/**
+ * Container methods that take the resolved interface's type name as first argument
+ */
+const RESOLVE_TYPE_METHODS = [
+  'resolveType',
+  'resolveTypeAll',
+  'resolveTypeAsync',
+  'resolveTypeAllAsync',
+  'resolveTypeKeyedAll',
+  'resolveTypeOptional',
+  'isRegisteredType'
+]
+
+/**
+ * Methods that take a key first and the interface's type name second
+ */
+const KEYED_TYPE_NAME_METHODS = ['asKeyedInterface', 'resolveTypeKeyed', 'resolveTypeKeyedAsync']
+
 /**
  * Transform .resolveType<T>() to .resolveType<T>("TypeName")
+ * Same for the all and async variants
  */
 function transformResolveInterface(
   node: ts.CallExpression,
@@ -178,9 +316,7 @@ function transformResolveInterface(
   }
 
   const propAccess = node.expression
-  if (propAccess.name.text !== 'resolveType' &&
-      propAccess.name.text !== 'resolveTypeKeyed' &&
-      propAccess.name.text !== 'resolveTypeAll') {
+  if (!RESOLVE_TYPE_METHODS.includes(propAccess.name.text)) {
     return node
   }
 
@@ -189,13 +325,8 @@ function transformResolveInterface(
     return node
   }
 
-  // For resolveTypeKeyed, skip if already has 1+ arguments (the key)
-  if (propAccess.name.text === 'resolveTypeKeyed' && node.arguments.length > 0) {
-    return node
-  }
-
-  // If already has a string argument, don't transform
-  if (node.arguments.length > 0 && ts.isStringLiteral(node.arguments[0])) {
+  // Skip if a type name is already given (literal or variable)
+  if (node.arguments.length > 0) {
     return node
   }
 
@@ -216,6 +347,80 @@ function transformResolveInterface(
   )
 }
 
+/**
+ * Transform .resolveFactory<(tenantId: string) => T>() to
+ * .resolveFactory<...>("TypeName", [{ name: "tenantId", typeName: "string" }])
+ * The delegate type may also be an alias when a TypeChecker is available.
+ */
+function transformResolveFactory(
+  node: ts.CallExpression,
+  context: ts.TransformationContext,
+  checker: ts.TypeChecker | undefined
+): ts.Node {
+  if (!ts.isPropertyAccessExpression(node.expression) || node.expression.name.text !== 'resolveFactory') {
+    return node
+  }
+
+  // Skip if a type name is already given
+  if (!node.typeArguments || node.typeArguments.length === 0 || node.arguments.length > 0) {
+    return node
+  }
+
+  const typeArg = node.typeArguments[0]
+  let wrapper = getWrapperFromTypeNode(typeArg)
+  if (!wrapper && checker) {
+    wrapper = getWrapperFromType(checker.getTypeFromTypeNode(typeArg), checker)
+  }
+  if (!wrapper || wrapper.kind !== 'func' || !wrapper.typeName) {
+    return node
+  }
+
+  const factory = context.factory
+  return factory.updateCallExpression(
+    node,
+    node.expression,
+    node.typeArguments,
+    [
+      factory.createStringLiteral(wrapper.typeName),
+      createFactoryParametersExpression(wrapper.parameters || [], context)
+    ]
+  )
+}
+
+/**
+ * Transform .resolveTypeKeyed<T>(key) to .resolveTypeKeyed<T>(key, "TypeName")
+ * Same for .asKeyedInterface<T>(key) and .resolveTypeKeyedAsync<T>(key)
+ */
+function transformKeyedInterface(
+  node: ts.CallExpression,
+  context: ts.TransformationContext
+): ts.Node {
+  if (!ts.isPropertyAccessExpression(node.expression)) {
+    return node
+  }
+
+  if (!KEYED_TYPE_NAME_METHODS.includes(node.expression.name.text)) {
+    return node
+  }
+
+  // Only the key given - type name missing
+  if (!node.typeArguments || node.typeArguments.length === 0 || node.arguments.length !== 1) {
+    return node
+  }
+
+  const typeName = getTypeNameFromTypeNode(node.typeArguments[0])
+  if (!typeName) {
+    return node
+  }
+
+  return context.factory.updateCallExpression(
+    node,
+    node.expression,
+    node.typeArguments,
+    [...node.arguments, context.factory.createStringLiteral(typeName)]
+  )
+}
+
 /**
  * Extract type name from TypeNode
  */
@@ -223,13 +428,20 @@ function getTypeNameFromTypeNode(typeNode: ts.TypeNode): string | null {
   // Handle type reference (e.g., ILogger, UserService)
   if (ts.isTypeReferenceNode(typeNode)) {
     const typeName = typeNode.typeName
+    let name: string | null = null
     if (ts.isIdentifier(typeName)) {
-      return typeName.text
+      name = typeName.text
     }
     // Handle qualified names (e.g., Namespace.Type)
     if (ts.isQualifiedName(typeName)) {
-      return getQualifiedName(typeName)
+      name = getQualifiedName(typeName)
+    }
+
+    // Generic types: IRepository<User> and IRepository<Order> are different services
+    if (name && typeNode.typeArguments && typeNode.typeArguments.length > 0) {
+      return withTypeArguments(name, typeNode.typeArguments.map(getTypeArgumentNameFromTypeNode))
     }
+    return name
   }
 
   // Handle type literals, unions, intersections, etc.
@@ -237,6 +449,32 @@ function getTypeNameFromTypeNode(typeNode: ts.TypeNode): string | null {
   return null
 }
 
+/**
+ * Name of a type argument - like getTypeNameFromTypeNode(), plus primitives and arrays
+ */
+function getTypeArgumentNameFromTypeNode(typeNode: ts.TypeNode): string | null {
+  // string, number, any, ...
+  if (typeNode.kind >= ts.SyntaxKind.FirstKeyword && typeNode.kind <= ts.SyntaxKind.LastKeyword) {
+    return ts.tokenToString(typeNode.kind) ?? null
+  }
+  if (ts.isArrayTypeNode(typeNode)) {
+    const elementName = getTypeArgumentNameFromTypeNode(typeNode.elementType)
+    return elementName ? `${elementName}[]` : null
+  }
+  return getTypeNameFromTypeNode(typeNode)
+}
+
+/**
+ * IRepository + [User] → IRepository<User>
+ * Falls back to the bare name when a type argument can't be named
+ */
+function withTypeArguments(name: string, typeArguments: Array<string | null>): string {
+  if (typeArguments.some(typeArgument => typeArgument === null)) {
+    return name
+  }
+  return `${name}<${typeArguments.join(', ')}>`
+}
+
 /**
  * Get fully qualified name from QualifiedName node
  */
@@ -264,21 +502,18 @@ function shouldTransformForAutowiring(
   node: ts.CallExpression,
   chain: ts.CallExpression[]
 ): { shouldTransform: boolean; registerTypeIndex: number } {
-  // Only transform if this is an .as() or .asDefaultInterface() call
+  // Only transform if this is an .as(), .asDefaultInterface() or .asKeyedInterface() call
   if (!ts.isPropertyAccessExpression(node.expression)) {
     return { shouldTransform: false, registerTypeIndex: -1 }
   }
 
   const methodName = node.expression.name.text
-  if (methodName !== 'as' && methodName !== 'asDefaultInterface') {
+  if (methodName !== 'as' && methodName !== 'asDefaultInterface' && methodName !== 'asKeyedInterface') {
     return { shouldTransform: false, registerTypeIndex: -1 }
   }
 
-  // Find .registerType() call in the chain
-  const registerTypeIndex = chain.findIndex(call =>
-    ts.isPropertyAccessExpression(call.expression) &&
-    call.expression.name.text === 'registerType'
-  )
+  // Find .registerType() / .registerDecorator() call in the chain
+  const registerTypeIndex = chain.findIndex(isAutowiredRegistrationCall)
 
   return {
     shouldTransform: registerTypeIndex !== -1,
@@ -286,6 +521,34 @@ function shouldTransformForAutowiring(
   }
 }
 
+/**
+ * Check if a call registers a constructor that should be autowired
+ * (e.g. .registerType(X) or .registerDecorator(X))
+ * @internal
+ */
+function isAutowiredRegistrationCall(call: ts.CallExpression): boolean {
+  return ts.isPropertyAccessExpression(call.expression) &&
+    AUTOWIRED_REGISTRATION_METHODS.includes(call.expression.name.text)
+}
+
+/**
+ * Check if a call is an open generic registration (.registerGeneric(X))
+ * @internal
+ */
+function isGenericRegistrationCall(call: ts.CallExpression): boolean {
+  return ts.isPropertyAccessExpression(call.expression) && call.expression.name.text === 'registerGeneric'
+}
+
+/**
+ * Type parameter names of the registered class (e.g. ["T"] for Repository<T>)
+ * @internal
+ */
+function getConstructorTypeParameters(registerCall: ts.CallExpression, checker: ts.TypeChecker): string[] {
+  const constructorType = checker.getTypeAtLocation(registerCall.arguments[0])
+  const [signature] = constructorType.getConstructSignatures()
+  return (signature?.typeParameters || []).map(typeParameter => typeParameter.symbol.getName())
+}
+
 /**
  * Check if chain already has explicit mapResolvers
  * @internal
@@ -318,7 +581,7 @@ function extractParameters(
   node: ts.CallExpression,
   registerTypeCall: ts.CallExpression,
   checker: ts.TypeChecker
-): Array<{ index: number; typeName: string | null }> {
+): ResolverEntry[] {
   const constructorArg = registerTypeCall.arguments[0]
 
   // Tier 1: TypeChecker (fast and accurate)
@@ -326,7 +589,7 @@ function extractParameters(
   let constructorParams = getConstructorParameters(constructorType, checker)
 
   // Tier 2: AST fallback
-  let astFallbackParams: Array<{ name: string; typeName: string | null }> | null = null
+  let astFallbackParams: ResolverEntry[] | null = null
   if (constructorParams.length === 0) {
     const classDecl = findClassDeclarationInChain(node, checker)
     if (classDecl) {
@@ -335,24 +598,28 @@ function extractParameters(
   }
 
   // Build resolver entries
-  const resolverEntries: Array<{ index: number; typeName: string | null }> = []
+  const resolverEntries: ResolverEntry[] = []
 
   if (astFallbackParams) {
     // Use AST parameters
-    for (let i = 0; i < astFallbackParams.length; i++) {
-      resolverEntries.push({
-        index: i,
-        typeName: astFallbackParams[i].typeName
-      })
-    }
+    resolverEntries.push(...astFallbackParams)
   } else {
     // Use TypeChecker parameters
     for (let i = 0; i < constructorParams.length; i++) {
       const param = constructorParams[i]
-      const interfaceName = getInterfaceNameFromType(param.type)
+      // Optional parameters are typed T | undefined under strictNullChecks
+      const paramType = param.optional ? checker.getNonNullableType(param.type) : param.type
+      const wrapper = getWrapperFromType(paramType, checker)
+      const typeName = wrapper ? wrapper.typeName : getInterfaceNameFromType(paramType, checker)
       resolverEntries.push({
         index: i,
-        typeName: interfaceName
+        typeName,
+        kind: wrapper?.kind,
+        optional: param.optional,
+        parameters: wrapper?.parameters,
+        runtimeParameter: typeName === null
+          ? { name: param.name, typeName: getTypeArgumentNameFromType(paramType, checker) || checker.typeToString(paramType) }
+          : undefined
       })
     }
   }
@@ -364,12 +631,7 @@ function extractParameters(
       const astParams = extractConstructorParametersFromAST(classDecl)
       if (astParams.length > 0 && astParams.some(p => p.typeName !== null)) {
         resolverEntries.length = 0
-        for (let i = 0; i < astParams.length; i++) {
-          resolverEntries.push({
-            index: i,
-            typeName: astParams[i].typeName
-          })
-        }
+        resolverEntries.push(...astParams)
       }
     }
   }
@@ -411,18 +673,172 @@ function transformDefaultAutowiring(
   // Extract parameters using best available method
   const resolverEntries = extractParameters(node, registerTypeCall, checker)
 
-  // If no parameters or all primitives, skip
-  if (resolverEntries.length === 0 || resolverEntries.every(entry => entry.typeName === null)) {
+  // If no parameters, skip - all-primitive constructors are still recorded for delegate factories
+  if (resolverEntries.length === 0) {
     return node
   }
 
+  // Open generic classes: descriptor type names may use the class's type parameters
+  const typeParameters = isGenericRegistrationCall(registerTypeCall)
+    ? getConstructorTypeParameters(registerTypeCall, checker)
+    : undefined
+
   // Generate .autoWire({ mapResolvers: [...] }) call
-  const autoWireCall = createAutoWireMapResolversCall(resolverEntries, context)
+  const autoWireCall = createAutoWireMapResolversCall(resolverEntries, context, typeParameters)
 
   // Insert autoWire call into the method chain
   return insertAutoWireIntoChain(node, autoWireCall, context)
 }
 
+/**
+ * Transform property autowiring:
+ * .registerType(X).as<Y>().propertiesAutowired() → .propertiesAutowired({ properties: { logger: { typeName: "ILogger" } } })
+ * Options given as an object literal (e.g. { strict: true }) keep their properties.
+ */
+function transformPropertiesAutowired(
+  node: ts.CallExpression,
+  context: ts.TransformationContext,
+  checker: ts.TypeChecker
+): ts.Node {
+  if (!ts.isPropertyAccessExpression(node.expression) || node.expression.name.text !== 'propertiesAutowired') {
+    return node
+  }
+
+  // Only fill in options given as a literal without properties
+  const [options] = node.arguments
+  if (node.arguments.length > 1 || (options && !ts.isObjectLiteralExpression(options))) {
+    return node
+  }
+  const existing = options ? [...(options as ts.ObjectLiteralExpression).properties] : []
+  if (existing.some(prop => prop.name && ts.isIdentifier(prop.name) && prop.name.text === 'properties')) {
+    return node
+  }
+
+  const registerTypeCall = getMethodChain(node).find(isAutowiredRegistrationCall)
+  if (!registerTypeCall || registerTypeCall.arguments.length === 0) {
+    return node
+  }
+
+  const entries = extractProperties(node, registerTypeCall, checker)
+  if (entries.length === 0) {
+    return node
+  }
+
+  const factory = context.factory
+  const properties = factory.createPropertyAssignment(
+    'properties',
+    factory.createObjectLiteralExpression(
+      entries.map(entry => factory.createPropertyAssignment(
+        factory.createStringLiteral(entry.name),
+        createDescriptorExpression(entry, context)
+      )),
+      true
+    )
+  )
+
+  return factory.updateCallExpression(
+    node,
+    node.expression,
+    node.typeArguments,
+    [factory.createObjectLiteralExpression([...existing, properties], true)]
+  )
+}
+
+/**
+ * Extract the injectable fields of the registered class (TypeChecker, then AST fallback)
+ * Typed, non-primitive instance fields without an initializer, declared in source files
+ * @internal
+ */
+function extractProperties(
+  node: ts.CallExpression,
+  registerTypeCall: ts.CallExpression,
+  checker: ts.TypeChecker
+): PropertyEntry[] {
+  const entries: PropertyEntry[] = []
+
+  const constructorType = checker.getTypeAtLocation(registerTypeCall.arguments[0])
+  const [signature] = constructorType.getConstructSignatures()
+  if (signature) {
+    for (const property of checker.getPropertiesOfType(signature.getReturnType())) {
+      const declaration = property.valueDeclaration
+      if (
+        !declaration ||
+        !ts.isPropertyDeclaration(declaration) ||
+        declaration.initializer ||
+        !ts.isIdentifier(declaration.name) ||
+        declaration.getSourceFile().isDeclarationFile
+      ) {
+        continue
+      }
+
+      // logger?: ILogger and logger: ILogger | undefined are typed with undefined
+      const type = checker.getNonNullableType(checker.getTypeOfSymbolAtLocation(property, declaration))
+      const wrapper = getWrapperFromType(type, checker)
+      const typeName = wrapper ? wrapper.typeName : getInterfaceNameFromType(type, checker)
+      if (isInjectableTypeName(typeName)) {
+        entries.push({
+          name: property.getName(),
+          typeName,
+          kind: wrapper?.kind,
+          optional: !!declaration.questionToken,
+          parameters: wrapper?.parameters
+        })
+      }
+    }
+  }
+
+  // AST fallback: field type annotations of the class declaration
+  if (entries.length === 0) {
+    const classDecl = findClassDeclarationInChain(node, checker)
+    if (classDecl) {
+      entries.push(...extractPropertiesFromAST(classDecl))
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Extract injectable fields directly from AST (fallback when TypeChecker has no type information)
+ */
+function extractPropertiesFromAST(classNode: ts.ClassDeclaration): PropertyEntry[] {
+  const entries: PropertyEntry[] = []
+
+  for (const member of classNode.members) {
+    if (
+      !ts.isPropertyDeclaration(member) ||
+      !member.type ||
+      member.initializer ||
+      !ts.isIdentifier(member.name) ||
+      member.modifiers?.some(modifier => modifier.kind === ts.SyntaxKind.StaticKeyword)
+    ) {
+      continue
+    }
+
+    const typeNode = stripUndefinedFromTypeNode(member.type)
+    const wrapper = getWrapperFromTypeNode(typeNode)
+    const typeName = wrapper ? wrapper.typeName : getTypeNameFromTypeNode(typeNode)
+    if (isInjectableTypeName(typeName)) {
+      entries.push({
+        name: member.name.text,
+        typeName,
+        kind: wrapper?.kind,
+        optional: !!member.questionToken,
+        parameters: wrapper?.parameters
+      })
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Check if a field's type name can be resolved - not a primitive, function or object literal type
+ */
+function isInjectableTypeName(typeName: string | null): typeName is string {
+  return typeName !== null && !typeName.startsWith('__')
+}
+
 /**
  * Get all method calls in a chain (e.g., builder.registerType(X).as<Y>().singleInstance())
  */
@@ -448,8 +864,8 @@ function getMethodChain(node: ts.CallExpression): ts.CallExpression[] {
 function getConstructorParameters(
   type: ts.Type,
   checker: ts.TypeChecker
-): Array<{ name: string; type: ts.Type }> {
-  const params: Array<{ name: string; type: ts.Type }> = []
+): Array<{ name: string; type: ts.Type; optional: boolean }> {
+  const params: Array<{ name: string; type: ts.Type; optional: boolean }> = []
 
   // Get construct signatures from the type
   const constructSignatures = type.getConstructSignatures()
@@ -463,10 +879,13 @@ function getConstructorParameters(
   const parameters = signature.getParameters()
 
   for (const param of parameters) {
-    const paramType = checker.getTypeOfSymbolAtLocation(param, param.valueDeclaration!)
+    const declaration = param.valueDeclaration!
+    const paramType = checker.getTypeOfSymbolAtLocation(param, declaration)
     params.push({
       name: param.getName(),
-      type: paramType
+      type: paramType,
+      // param?: T or param: T = defaultValue
+      optional: ts.isParameter(declaration) && checker.isOptionalParameter(declaration)
     })
   }
 
@@ -477,7 +896,7 @@ function getConstructorParameters(
  * Extract interface name from a type (e.g., ILogger, IDatabase)
  * Returns null for primitive types or types we can't handle
  */
-function getInterfaceNameFromType(type: ts.Type): string | null {
+function getInterfaceNameFromType(type: ts.Type, checker: ts.TypeChecker): string | null {
   // Skip primitive types
   if (type.flags & ts.TypeFlags.String ||
       type.flags & ts.TypeFlags.Number ||
@@ -497,18 +916,140 @@ function getInterfaceNameFromType(type: ts.Type): string | null {
     return null
   }
 
+  // Generic types keep their type arguments (e.g., "IRepository<User>")
+  const typeArguments = type.aliasSymbol === symbol ? type.aliasTypeArguments : getTypeReferenceArguments(type, checker)
+  if (typeArguments && typeArguments.length > 0) {
+    return withTypeArguments(symbol.getName(), typeArguments.map(t => getTypeArgumentNameFromType(t, checker)))
+  }
+
   // Return the symbol name (e.g., "ILogger", "IDatabase")
   return symbol.getName()
 }
 
+/**
+ * Type arguments of a generic type reference such as IRepository<User>
+ */
+function getTypeReferenceArguments(type: ts.Type, checker: ts.TypeChecker): readonly ts.Type[] {
+  if (type.flags & ts.TypeFlags.Object && (type as ts.ObjectType).objectFlags & ts.ObjectFlags.Reference) {
+    return checker.getTypeArguments(type as ts.TypeReference)
+  }
+  return []
+}
+
+/**
+ * Name of a type argument - matches getTypeArgumentNameFromTypeNode() for the same type
+ */
+function getTypeArgumentNameFromType(type: ts.Type, checker: ts.TypeChecker): string | null {
+  if (type.flags & (ts.TypeFlags.String | ts.TypeFlags.Number | ts.TypeFlags.Boolean | ts.TypeFlags.BigInt |
+      ts.TypeFlags.Any | ts.TypeFlags.Unknown | ts.TypeFlags.Undefined | ts.TypeFlags.Null | ts.TypeFlags.Void)) {
+    return checker.typeToString(type)
+  }
+  if (type.getSymbol()?.getName() === 'Array') {
+    const [elementType] = getTypeReferenceArguments(type, checker)
+    const elementName = elementType ? getTypeArgumentNameFromType(elementType, checker) : null
+    return elementName ? `${elementName}[]` : null
+  }
+  return getInterfaceNameFromType(type, checker)
+}
+
+/**
+ * Detect a wrapper parameter type such as KeyedIndex<IPaymentProvider>
+ * Returns the wrapped interface name and descriptor kind, or null for other types
+ */
+function getWrapperFromType(type: ts.Type, checker: ts.TypeChecker): WrapperEntry | null {
+  // () => IReportEngine or (tenantId: string) => ITenantDb, also through a type alias
+  const signatures = type.getCallSignatures()
+  const isFunctionType = ((type.getSymbol()?.flags ?? 0) & ts.SymbolFlags.TypeLiteral) !== 0
+  if (isFunctionType && signatures.length === 1) {
+    const [signature] = signatures
+    const typeName = getInterfaceNameFromType(signature.getReturnType(), checker)
+    if (signature.getParameters().length === 0) {
+      return { typeName, kind: 'func' }
+    }
+    const parameters = signature.getParameters().map(parameter => {
+      const parameterType = checker.getTypeOfSymbolAtLocation(parameter, parameter.valueDeclaration!)
+      return {
+        name: parameter.getName(),
+        typeName: getTypeArgumentNameFromType(parameterType, checker) || checker.typeToString(parameterType)
+      }
+    })
+    return { typeName, kind: 'func', parameters }
+  }
+
+  const symbol = type.aliasSymbol || type.getSymbol()
+  const kind = symbol && WRAPPER_DESCRIPTOR_KINDS[symbol.getName()]
+  if (!kind) {
+    return null
+  }
+
+  const typeArguments = type.aliasTypeArguments ||
+    (type.flags & ts.TypeFlags.Object ? checker.getTypeArguments(type as ts.TypeReference) : [])
+  // The element type comes first (Iterable<T, TReturn, TNext>)
+  if (typeArguments.length === 0) {
+    return null
+  }
+
+  return { typeName: getInterfaceNameFromType(typeArguments[0], checker), kind }
+}
+
+/**
+ * Detect a wrapper parameter type node such as KeyedIndex<IPaymentProvider> (AST fallback)
+ */
+function getWrapperFromTypeNode(typeNode: ts.TypeNode): WrapperEntry | null {
+  // readonly IEventHandler[]
+  if (ts.isTypeOperatorNode(typeNode) && typeNode.operator === ts.SyntaxKind.ReadonlyKeyword) {
+    typeNode = typeNode.type
+  }
+  // IEventHandler[]
+  if (ts.isArrayTypeNode(typeNode)) {
+    return { typeName: getTypeNameFromTypeNode(typeNode.elementType), kind: 'all' }
+  }
+  // () => IReportEngine or (tenantId: string) => ITenantDb
+  if (ts.isFunctionTypeNode(typeNode)) {
+    const typeName = getTypeNameFromTypeNode(typeNode.type)
+    if (typeNode.parameters.length === 0) {
+      return { typeName, kind: 'func' }
+    }
+    const parameters = typeNode.parameters.map(parameter => ({
+      name: ts.isIdentifier(parameter.name) ? parameter.name.text : '',
+      typeName: (parameter.type && getTypeArgumentNameFromTypeNode(parameter.type)) || 'any'
+    }))
+    return { typeName, kind: 'func', parameters }
+  }
+
+  if (!ts.isTypeReferenceNode(typeNode) || !ts.isIdentifier(typeNode.typeName)) {
+    return null
+  }
+
+  const kind = WRAPPER_DESCRIPTOR_KINDS[typeNode.typeName.text]
+  if (!kind || !typeNode.typeArguments || typeNode.typeArguments.length === 0) {
+    return null
+  }
+
+  return { typeName: getTypeNameFromTypeNode(typeNode.typeArguments[0]), kind }
+}
+
+/**
+ * ILogger | undefined → ILogger (AST fallback for optional parameters)
+ */
+function stripUndefinedFromTypeNode(typeNode: ts.TypeNode): ts.TypeNode {
+  if (!ts.isUnionTypeNode(typeNode)) {
+    return typeNode
+  }
+
+  const types = typeNode.types.filter(t =>
+    t.kind !== ts.SyntaxKind.UndefinedKeyword &&
+    !(ts.isLiteralTypeNode(t) && t.literal.kind === ts.SyntaxKind.NullKeyword)
+  )
+  return types.length === 1 ? types[0] : typeNode
+}
+
 /**
  * Extract constructor parameters directly from AST (fallback when TypeChecker unavailable)
  * Works with esbuild and standalone source files outside TypeScript Program
  */
-function extractConstructorParametersFromAST(
-  classNode: ts.ClassDeclaration
-): Array<{ name: string; typeName: string | null }> {
-  const params: Array<{ name: string; typeName: string | null }> = []
+function extractConstructorParametersFromAST(classNode: ts.ClassDeclaration): ResolverEntry[] {
+  const params: ResolverEntry[] = []
 
   // Find constructor declaration
   const constructor = classNode.members.find(
@@ -528,10 +1069,17 @@ function extractConstructorParametersFromAST(
       paramName = param.name.text
     }
 
-    const typeName = getTypeNameFromTypeNode(param.type)
+    const optional = !!(param.questionToken || param.initializer)
+    const typeNode = optional ? stripUndefinedFromTypeNode(param.type) : param.type
+    const wrapper = getWrapperFromTypeNode(typeNode)
+    const typeName = wrapper ? wrapper.typeName : getTypeNameFromTypeNode(typeNode)
 
     if (paramName && typeName) {
-      params.push({ name: paramName, typeName })
+      params.push({ index: params.length, typeName, kind: wrapper?.kind, optional, parameters: wrapper?.parameters })
+    } else if (paramName) {
+      // Primitive - keeps its position and is recorded for delegate factories
+      const runtimeParameter = { name: paramName, typeName: getTypeArgumentNameFromTypeNode(typeNode) || 'any' }
+      params.push({ index: params.length, typeName: null, runtimeParameter })
     }
   }
 
@@ -547,10 +1095,7 @@ function findClassDeclarationInChain(
   checker: ts.TypeChecker
 ): ts.ClassDeclaration | null {
   const chain = getMethodChain(node)
-  const registerTypeCall = chain.find(call =>
-    ts.isPropertyAccessExpression(call.expression) &&
-    call.expression.name.text === 'registerType'
-  )
+  const registerTypeCall = chain.find(isAutowiredRegistrationCall)
 
   if (!registerTypeCall || registerTypeCall.arguments.length === 0) {
     return null
@@ -572,56 +1117,49 @@ function findClassDeclarationInChain(
 }
 
 /**
- * Create AST for .autoWire({ mapResolvers: [(c) => c.resolveType("IEventBus"), undefined, ...] })
+ * Create AST for .autoWire({ mapResolvers: [{ typeName: "IEventBus" }, undefined, ...] })
  * Array-based autowiring with optimal O(1) performance
  * Minification-safe and refactoring-friendly (transformer regenerates on recompile)
  */
 function createAutoWireMapResolversCall(
-  entries: Array<{ index: number; typeName: string | null }>,
-  context: ts.TransformationContext
+  entries: ResolverEntry[],
+  context: ts.TransformationContext,
+  typeParameters?: string[]
 ): ts.CallExpression {
   const factory = context.factory
 
-  // Create array of resolvers: [(c) => c.resolveType("TypeName"), undefined, ...]
-  const resolverExpressions = entries.map(entry => {
-    if (entry.typeName === null) {
-      // Primitive type → undefined
-      return factory.createIdentifier('undefined')
-    } else {
-      // Interface type → (c) => c.resolveType("TypeName")
-      return factory.createArrowFunction(
-        undefined, // modifiers
-        undefined, // type parameters
-        [factory.createParameterDeclaration(
-          undefined, // modifiers
-          undefined, // dotDotDotToken
-          'c', // name
-          undefined, // questionToken
-          undefined, // type
-          undefined  // initializer
-        )],
-        undefined, // type
-        factory.createToken(ts.SyntaxKind.EqualsGreaterThanToken),
-        // c.resolveType("TypeName")
-        factory.createCallExpression(
-          factory.createPropertyAccessExpression(
-            factory.createIdentifier('c'),
-            'resolveType'
-          ),
-          undefined,
-          [factory.createStringLiteral(entry.typeName)]
-        )
-      )
-    }
-  })
+  // Create array of resolvers: [{ typeName: "TypeName" }, undefined, ...]
+  const resolverExpressions = entries.map(entry => entry.typeName === null
+    // Primitive type → undefined
+    ? factory.createIdentifier('undefined')
+    : createDescriptorExpression({ ...entry, typeName: entry.typeName }, context))
 
-  // Create: { mapResolvers: [...] }
-  const configObject = factory.createObjectLiteralExpression([
+  // Create: { mapResolvers: [...] } (plus typeParameters: [...] for open generics)
+  const properties = [
     factory.createPropertyAssignment(
       'mapResolvers',
       factory.createArrayLiteralExpression(resolverExpressions, true)
     )
-  ], true)
+  ]
+  if (typeParameters && typeParameters.length > 0) {
+    properties.push(factory.createPropertyAssignment(
+      'typeParameters',
+      factory.createArrayLiteralExpression(typeParameters.map(name => factory.createStringLiteral(name)))
+    ))
+  }
+  // Parameters without DI: parameters: [{ index: 0, name: "tenantId", typeName: "string" }]
+  const runtimeParameters = entries.filter(entry => entry.runtimeParameter)
+  if (runtimeParameters.length > 0) {
+    properties.push(factory.createPropertyAssignment(
+      'parameters',
+      factory.createArrayLiteralExpression(runtimeParameters.map(entry => factory.createObjectLiteralExpression([
+        factory.createPropertyAssignment('index', factory.createNumericLiteral(entry.index)),
+        factory.createPropertyAssignment('name', factory.createStringLiteral(entry.runtimeParameter!.name)),
+        factory.createPropertyAssignment('typeName', factory.createStringLiteral(entry.runtimeParameter!.typeName))
+      ])), true)
+    ))
+  }
+  const configObject = factory.createObjectLiteralExpression(properties, true)
 
   // Create: .autoWire({ mapResolvers: [...] })
   return factory.createCallExpression(
@@ -634,6 +1172,44 @@ function createAutoWireMapResolversCall(
   )
 }
 
+/**
+ * Create AST for a dependency descriptor
+ * Interface type → { typeName: "TypeName" }, wrapper type → { typeName: "TypeName", kind: "..." }
+ * Optional or defaulted dependency → { typeName: "TypeName", optional: true }
+ * Delegate factory → { typeName: "TypeName", kind: "func", parameters: [...] }
+ */
+function createDescriptorExpression(
+  entry: { typeName: string; kind?: string; optional?: boolean; parameters?: FactoryParameterEntry[] },
+  context: ts.TransformationContext
+): ts.ObjectLiteralExpression {
+  const factory = context.factory
+  const properties = [factory.createPropertyAssignment('typeName', factory.createStringLiteral(entry.typeName))]
+  if (entry.kind) {
+    properties.push(factory.createPropertyAssignment('kind', factory.createStringLiteral(entry.kind)))
+  }
+  if (entry.optional) {
+    properties.push(factory.createPropertyAssignment('optional', factory.createTrue()))
+  }
+  if (entry.parameters) {
+    properties.push(factory.createPropertyAssignment('parameters', createFactoryParametersExpression(entry.parameters, context)))
+  }
+  return factory.createObjectLiteralExpression(properties)
+}
+
+/**
+ * Create AST for delegate factory parameters: [{ name: "tenantId", typeName: "string" }]
+ */
+function createFactoryParametersExpression(
+  parameters: FactoryParameterEntry[],
+  context: ts.TransformationContext
+): ts.ArrayLiteralExpression {
+  const factory = context.factory
+  return factory.createArrayLiteralExpression(parameters.map(parameter => factory.createObjectLiteralExpression([
+    factory.createPropertyAssignment('name', factory.createStringLiteral(parameter.name)),
+    factory.createPropertyAssignment('typeName', factory.createStringLiteral(parameter.typeName))
+  ])))
+}
+
 /**
  * Insert .autoWire() call into method chain after .as()
  */
@@ -694,7 +1270,7 @@ function ensureTypeNamesInjected(
     node.expression.name.text === 'as' &&
     node.typeArguments &&
     node.typeArguments.length > 0 &&
-    !(node.arguments.length > 0 && ts.isStringLiteral(node.arguments[0]))
+    node.arguments.length === 0
   ) {
     // Extract type name and inject it
     const typeArg = node.typeArguments[0]
@@ -710,6 +1286,17 @@ function ensureTypeNamesInjected(
     }
   }
 
+  // .asKeyedInterface<T>(key) takes its type name after the key
+  const transformedKeyed = transformKeyedInterface(node, context) as ts.CallExpression
+  if (transformedKeyed !== node) {
+    return context.factory.updateCallExpression(
+      node,
+      transformedExpression,
+      node.typeArguments,
+      transformedKeyed.arguments
+    )
+  }
+
   // Return node with potentially transformed expression
   if (transformedExpression !== node.expression) {
     return context.factory.updateCallExpression(
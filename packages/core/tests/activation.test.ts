@@ -0,0 +1,241 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+
+describe('Activation Hooks - Container bindings', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should let onActivating replace the instance', () => {
+    // Arrange
+    const token = Token<{ name: string }>('IService')
+
+    container.bindFactory(token, () => ({ name: 'original' }), {
+      onActivating: (e) => e.replaceInstance({ name: `wrapped ${e.instance.name}` })
+    })
+
+    // Act & Assert
+    expect(container.resolve(token).name).toBe('wrapped original')
+  })
+
+  it('should raise onActivated with the container after caching', () => {
+    // Arrange
+    const configToken = Token<{ url: string }>('IConfig')
+    const clientToken = Token<{ url?: string }>('IClient')
+    let activatedWith: unknown
+
+    container.bindValue(configToken, { url: 'http://localhost' })
+    container.bindFactory(clientToken, () => ({}), {
+      lifetime: 'singleton',
+      onActivated: (e) => {
+        e.instance.url = e.container.resolve(configToken).url
+        activatedWith = e.container.resolve(clientToken) // Already cached - no recursion
+      }
+    })
+
+    // Act
+    const client = container.resolve(clientToken)
+
+    // Assert
+    expect(client.url).toBe('http://localhost')
+    expect(activatedWith).toBe(client)
+  })
+
+  it('should fire hooks for each transient and once per singleton', () => {
+    // Arrange
+    class Service {}
+    const transientToken = Token<Service>('Transient')
+    const singletonToken = Token<Service>('Singleton')
+    const activated: string[] = []
+
+    container.bindClass(transientToken, Service, {
+      lifetime: 'transient',
+      onActivated: () => activated.push('transient')
+    })
+    container.bindClass(singletonToken, Service, {
+      lifetime: 'singleton',
+      onActivated: () => activated.push('singleton')
+    })
+
+    // Act
+    container.resolve(transientToken)
+    container.resolve(transientToken)
+    container.resolve(singletonToken)
+    container.resolve(singletonToken)
+
+    // Assert
+    expect(activated).toEqual(['transient', 'transient', 'singleton'])
+  })
+
+  it('should fire hooks in resolveAsync()', async () => {
+    // Arrange
+    const token = Token<{ ready: boolean }>('IAsyncService')
+    const events: string[] = []
+
+    container.bindFactory(token, async () => ({ ready: false }), {
+      onActivating: (e) => {
+        events.push('activating')
+        e.replaceInstance({ ready: true })
+      },
+      onActivated: () => events.push('activated')
+    })
+
+    // Act
+    const service = await container.resolveAsync(token)
+
+    // Assert
+    expect(service.ready).toBe(true)
+    expect(events).toEqual(['activating', 'activated'])
+  })
+
+  it('should call onRelease instead of dispose()', async () => {
+    // Arrange
+    const token = Token<{ dispose(): void }>('IPool')
+    const calls: string[] = []
+
+    container.bindValue(token, { dispose: () => calls.push('dispose') }, {
+      onRelease: () => {
+        calls.push('release')
+      }
+    })
+    container.resolve(token)
+
+    // Act
+    await container.dispose()
+
+    // Assert
+    expect(calls).toEqual(['release'])
+  })
+})
+
+describe('Activation Hooks - RegistrationBuilder', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should chain onActivating handlers with replaced instances', () => {
+    // Arrange
+    interface IGreeter {
+      greet(): string
+    }
+    class Greeter implements IGreeter {
+      greet() {
+        return 'hello'
+      }
+    }
+
+    const builder = container.builder()
+    builder
+      .registerType(Greeter)
+      .as<IGreeter>()
+      .onActivating(e => e.replaceInstance({ greet: () => `${e.instance.greet()} world` }))
+      .onActivating(e => e.replaceInstance({ greet: () => `${e.instance.greet()}!` }))
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IGreeter>().greet()).toBe('hello world!')
+  })
+
+  it('should fire hooks for zero-dependency transients and instances', () => {
+    // Arrange
+    interface IClock {
+      now(): number
+    }
+    class Clock implements IClock {
+      now() {
+        return 1
+      }
+    }
+    const settings = { debug: true }
+    const settingsToken = Token<typeof settings>('ISettings')
+    const activated: string[] = []
+
+    const builder = container.builder()
+    builder
+      .registerType(Clock)
+      .as<IClock>()
+      .instancePerDependency()
+      .onActivated(() => activated.push('clock'))
+    builder
+      .registerInstance(settings)
+      .as(settingsToken)
+      .onActivated(() => activated.push('settings'))
+    const app = builder.build()
+
+    // Act
+    app.resolveType<IClock>()
+    app.resolveType<IClock>()
+    app.resolve(settingsToken)
+
+    // Assert
+    expect(activated).toEqual(['clock', 'clock', 'settings'])
+  })
+
+  it('should run onActivated handlers with access to the container', () => {
+    // Arrange
+    interface IAuditLog {
+      entries: string[]
+    }
+    interface IEventBus {
+      subscribers: IAuditLog[]
+    }
+    class AuditLog implements IAuditLog {
+      entries: string[] = []
+    }
+    class EventBus implements IEventBus {
+      subscribers: IAuditLog[] = []
+    }
+
+    const builder = container.builder()
+    builder.registerType(AuditLog).as<IAuditLog>()
+    builder
+      .registerType(EventBus)
+      .as<IEventBus>()
+      .onActivated(e => e.instance.subscribers.push(e.container.resolveType<IAuditLog>()))
+    const app = builder.build()
+
+    // Act
+    const bus = app.resolveType<IEventBus>()
+
+    // Assert
+    expect(bus.subscribers).toHaveLength(1)
+    expect(bus.subscribers[0]).toBe(app.resolveType<IAuditLog>())
+  })
+
+  it('should run all onRelease handlers on dispose', async () => {
+    // Arrange
+    interface IConnectionPool {
+      drained: boolean
+    }
+    class ConnectionPool implements IConnectionPool {
+      drained = false
+    }
+    const released: string[] = []
+
+    const builder = container.builder()
+    builder
+      .registerType(ConnectionPool)
+      .as<IConnectionPool>()
+      .onRelease(async pool => {
+        pool.drained = true
+        released.push('drain')
+      })
+      .onRelease(() => {
+        released.push('log')
+      })
+    const app = builder.build()
+    const pool = app.resolveType<IConnectionPool>()
+
+    // Act
+    await app.dispose()
+
+    // Assert
+    expect(pool.drained).toBe(true)
+    expect(released).toEqual(['drain', 'log'])
+  })
+})
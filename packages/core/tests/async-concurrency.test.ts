@@ -0,0 +1,263 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import { CircularDependencyError } from '../src/errors'
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Async Concurrency - resolveAsync()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should run an async singleton factory once for racing resolves', async () => {
+    // Arrange
+    let created = 0
+    const token = Token<{ id: number }>('IDbPool')
+    container.bindFactory(token, async () => {
+      await delay(5)
+      return { id: ++created }
+    }, { lifetime: 'singleton' })
+
+    // Act
+    const [first, second, third] = await Promise.all([
+      container.resolveAsync(token),
+      container.resolveAsync(token),
+      container.resolveAsync(token)
+    ])
+
+    // Assert
+    expect(created).toBe(1)
+    expect(second).toBe(first)
+    expect(third).toBe(first)
+  })
+
+  it('should share in-flight lifetime scope instances per scope', async () => {
+    // Arrange
+    let created = 0
+    const token = Token<object>('IUnitOfWork')
+    container.bindFactory(token, async () => {
+      created++
+      await delay(1)
+      return {}
+    }, { lifetime: 'per-lifetime-scope' })
+
+    const scopeA = container.beginLifetimeScope()
+    const scopeB = container.beginLifetimeScope()
+
+    // Act
+    const [a1, a2, b1] = await Promise.all([
+      scopeA.resolveAsync(token),
+      scopeA.resolveAsync(token),
+      scopeB.resolveAsync(token)
+    ])
+
+    // Assert
+    expect(created).toBe(2)
+    expect(a2).toBe(a1)
+    expect(b1).not.toBe(a1)
+  })
+
+  it('should keep per-request instances separate for concurrent resolves', async () => {
+    // Arrange
+    const requestToken = Token<object>('IRequestContext')
+    const handlerToken = Token<{ before: object; after: object }>('Handler')
+
+    container.bindFactory(requestToken, () => ({}), { lifetime: 'per-request' })
+    container.bindFactory(handlerToken, async (c) => {
+      const before = await c.resolveAsync(requestToken)
+      await delay(1)
+      const after = await c.resolveAsync(requestToken)
+      return { before, after }
+    })
+
+    // Act
+    const [first, second] = await Promise.all([
+      container.resolveAsync(handlerToken),
+      container.resolveAsync(handlerToken)
+    ])
+
+    // Assert - one instance per resolve tree, also after an await
+    expect(first.after).toBe(first.before)
+    expect(second.after).toBe(second.before)
+    expect(second.before).not.toBe(first.before)
+  })
+
+  it('should not leak the async resolve context into unrelated resolves', async () => {
+    // Arrange
+    const requestToken = Token<object>('IRequestContext')
+    const slowToken = Token<object>('SlowService')
+    let release!: () => void
+
+    container.bindFactory(requestToken, () => ({}), { lifetime: 'per-request' })
+    container.bindFactory(slowToken, async (c) => {
+      const request = c.resolve(requestToken)
+      await new Promise<void>(resolve => (release = resolve))
+      return { request }
+    })
+
+    // Act
+    const pending = container.resolveAsync(slowToken)
+    await delay(0)
+    const unrelated = container.resolve(requestToken)
+    release()
+    const slow = (await pending) as { request: object }
+
+    // Assert
+    expect(unrelated).not.toBe(slow.request)
+  })
+
+  it('should start a new resolve for factories that keep their container', async () => {
+    // Arrange
+    const requestToken = Token<object>('IRequestContext')
+    const handlerToken = Token<{ make(): object }>('HandlerFactory')
+
+    container.bindFactory(requestToken, () => ({}), { lifetime: 'per-request' })
+    container.bindFactory(handlerToken, async (c) => {
+      await delay(0)
+      return { make: () => c.resolve(requestToken) }
+    })
+
+    // Act
+    const { make } = await container.resolveAsync(handlerToken)
+
+    // Assert - the finished resolve's per-request instance is not reused
+    expect(make()).not.toBe(make())
+  })
+
+  it('should resolve a shared async dependency of parallel branches without a false cycle', async () => {
+    // Arrange
+    let created = 0
+    class Service {
+      constructor(public dependency?: unknown) {}
+    }
+    class App {
+      constructor(public left: Service, public right: Service) {}
+    }
+    const configToken = Token<object>('IRemoteConfig')
+    const leftToken = Token<Service>('Left')
+    const rightToken = Token<Service>('Right')
+    const appToken = Token<App>('App')
+
+    container.bindFactory(configToken, async () => {
+      created++
+      await delay(5)
+      return {}
+    }, { lifetime: 'singleton' })
+    container.bindClass(leftToken, Service, { dependencies: [configToken] })
+    container.bindClass(rightToken, Service, { dependencies: [configToken] })
+    container.bindClass(appToken, App, { dependencies: [leftToken, rightToken] })
+
+    // Act
+    const app = await container.resolveAsync(appToken)
+
+    // Assert
+    expect(created).toBe(1)
+    expect(app.left.dependency).toBe(app.right.dependency)
+  })
+
+  it('should allow factories to await several resolves together', async () => {
+    // Arrange
+    const clientToken = Token<object>('IHttpClient')
+    const gatewayToken = Token<object[]>('IGateway')
+
+    container.bindFactory(clientToken, async () => {
+      await delay(1)
+      return {}
+    })
+    container.bindFactory(gatewayToken, (c) => Promise.all([
+      c.resolveAsync(clientToken),
+      c.resolveAsync(clientToken)
+    ]))
+
+    // Act
+    const clients = await container.resolveAsync(gatewayToken)
+
+    // Assert
+    expect(clients).toHaveLength(2)
+    expect(clients[0]).not.toBe(clients[1])
+  })
+
+  it('should reject a cycle split across concurrent resolves instead of waiting forever', async () => {
+    // Arrange
+    const aToken = Token<object>('A')
+    const bToken = Token<object>('B')
+
+    container.bindFactory(aToken, async (c) => {
+      await delay(1)
+      return { b: await c.resolveAsync(bToken) }
+    }, { lifetime: 'singleton' })
+    container.bindFactory(bToken, async (c) => {
+      await delay(2)
+      return { a: await c.resolveAsync(aToken) }
+    }, { lifetime: 'singleton' })
+
+    // Act
+    const results = await Promise.allSettled([
+      container.resolveAsync(aToken),
+      container.resolveAsync(bToken)
+    ])
+
+    // Assert
+    for (const result of results) {
+      expect(result.status).toBe('rejected')
+      expect((result as PromiseRejectedResult).reason).toBeInstanceOf(CircularDependencyError)
+    }
+    expect((results[1] as PromiseRejectedResult).reason.message).toContain('Token<B> -> Token<A> -> Token<B>')
+  })
+
+  it('should share a failed creation and retry on the next resolve', async () => {
+    // Arrange
+    let attempts = 0
+    const token = Token<{ attempt: number }>('IConnection')
+    container.bindFactory(token, async () => {
+      attempts++
+      await delay(1)
+      if (attempts === 1) {
+        throw new Error('Connection refused')
+      }
+      return { attempt: attempts }
+    }, { lifetime: 'singleton' })
+
+    // Act
+    const results = await Promise.allSettled([container.resolveAsync(token), container.resolveAsync(token)])
+
+    // Assert
+    expect(results.map(r => r.status)).toEqual(['rejected', 'rejected'])
+    expect(attempts).toBe(1)
+    expect((await container.resolveAsync(token)).attempt).toBe(2)
+  })
+})
+
+describe('Async Concurrency - Container.start()', () => {
+  it('should create a dependency shared by auto-activated bindings once', async () => {
+    // Arrange
+    const container = new Container()
+    let created = 0
+    const poolToken = Token<object>('IDbPool')
+    const usersToken = Token<object>('IUserCache')
+    const ordersToken = Token<object>('IOrderCache')
+
+    container.bindFactory(poolToken, async () => {
+      created++
+      await delay(1)
+      return {}
+    }, { lifetime: 'singleton' })
+    container.bindFactory(usersToken, async (c) => ({ pool: await c.resolveAsync(poolToken) }), {
+      lifetime: 'singleton',
+      autoActivate: true
+    })
+    container.bindFactory(ordersToken, async (c) => ({ pool: await c.resolveAsync(poolToken) }), {
+      lifetime: 'singleton',
+      autoActivate: true
+    })
+
+    // Act
+    await container.start()
+
+    // Assert
+    expect(created).toBe(1)
+  })
+})
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Async Resolution - Interface-based API', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should resolve an async factory by interface type with resolveTypeAsync()', async () => {
+    // Arrange
+    interface IDatabase {
+      connected: boolean
+    }
+    interface IUserRepository {
+      database: IDatabase
+    }
+    class UserRepository implements IUserRepository {
+      constructor(public database: IDatabase) {}
+    }
+
+    const builder = container.builder()
+    builder
+      .register(async () => {
+        await delay(1)
+        return { connected: true }
+      })
+      .as<IDatabase>()
+      .singleInstance()
+    builder.registerType(UserRepository).as<IUserRepository>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(() => app.resolveType<IUserRepository>()).toThrow('Async factory detected')
+
+    const repository = await app.resolveTypeAsync<IUserRepository>()
+    expect(repository).toBeInstanceOf(UserRepository)
+    expect(repository.database.connected).toBe(true)
+  })
+
+  it('should resolve async registrations of an interface with resolveTypeAllAsync()', async () => {
+    // Arrange
+    interface IHealthCheck {
+      name: string
+    }
+
+    const builder = container.builder()
+    builder
+      .register(async () => {
+        await delay(5)
+        return { name: 'database' }
+      })
+      .as<IHealthCheck>()
+    builder.register(() => ({ name: 'cache' })).as<IHealthCheck>()
+    const app = builder.build()
+
+    // Act
+    const checks = await app.resolveTypeAllAsync<IHealthCheck>()
+
+    // Assert - registration order, not completion order
+    expect(checks.map(c => c.name)).toEqual(['database', 'cache'])
+  })
+
+  it('should resolve keyed async registrations with resolveTypeKeyedAsync()', async () => {
+    // Arrange
+    interface IConnection {
+      region: string
+    }
+
+    const builder = container.builder()
+    builder.register(async () => ({ region: 'eu' })).asKeyedInterface<IConnection>('eu')
+    builder.register(async () => ({ region: 'us' })).asKeyedInterface<IConnection>('us')
+    const app = builder.build()
+
+    // Act
+    const connection = await app.resolveTypeKeyedAsync<IConnection>('us')
+
+    // Assert
+    expect(connection.region).toBe('us')
+  })
+})
+
+describe('Async Resolution - Builder registrations', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should resolve autowire maps and additional interfaces asynchronously', async () => {
+    // Arrange
+    class Scheduler {
+      constructor(public clock: { now: number }) {}
+    }
+    const clockToken = Token<{ now: number }>('IClock')
+    const schedulerToken = Token<Scheduler>('IScheduler')
+    const jobRunnerToken = Token<Scheduler>('IJobRunner')
+
+    const builder = container.builder()
+    builder.register(async () => ({ now: 42 })).as(clockToken)
+    builder
+      .registerType(Scheduler)
+      .asImplementedInterfaces([schedulerToken, jobRunnerToken])
+      .autoWire({ map: { clock: clockToken } })
+      .singleInstance()
+    const app = builder.build()
+
+    // Act
+    const runner = await app.resolveAsync(jobRunnerToken)
+
+    // Assert
+    expect(runner.clock.now).toBe(42)
+    expect(await app.resolveAsync(schedulerToken)).toBe(runner)
+  })
+})
+
+describe('Async Resolution - Named, keyed and multi', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should resolve named async registrations with resolveNamedAsync()', async () => {
+    // Arrange
+    const storeToken = Token<{ kind: string }>('IStore')
+
+    const builder = container.builder()
+    builder.register(async () => ({ kind: 'primary' })).as(storeToken).named('primary')
+    builder.register(async () => ({ kind: 'replica' })).as(storeToken).named('replica')
+    const app = builder.build()
+
+    // Act
+    const replica = await app.resolveNamedAsync<{ kind: string }>('replica')
+
+    // Assert
+    expect(replica.kind).toBe('replica')
+  })
+
+  it('should resolve keyed async registrations with resolveKeyedAsync()', async () => {
+    // Arrange
+    const cacheKey = Symbol('cache')
+    const storeToken = Token<{ kind: string }>('IStore')
+
+    const builder = container.builder()
+    builder.register(async () => ({ kind: 'redis' })).as(storeToken).keyed(cacheKey)
+    const app = builder.build()
+
+    // Act & Assert
+    expect((await app.resolveKeyedAsync<{ kind: string }>(cacheKey)).kind).toBe('redis')
+  })
+
+  it('should resolve every async registration with resolveAllAsync()', async () => {
+    // Arrange
+    const pluginToken = Token<string>('IPlugin')
+
+    const builder = container.builder()
+    builder.register(async () => 'auth').as(pluginToken)
+    builder.register(async () => 'metrics').as(pluginToken)
+    const app = builder.build()
+
+    // Act & Assert
+    expect(await app.resolveAllAsync(pluginToken)).toEqual(['auth', 'metrics'])
+    expect(await app.resolveAllAsync(Token<string>('IUnknown'))).toEqual([])
+  })
+
+  it('should reject with the same errors as the sync variants', async () => {
+    // Arrange
+    const storeToken = Token<object>('IStore')
+    const builder = container.builder()
+    builder.register(() => ({})).as(storeToken).named('primary')
+    const app = builder.build()
+
+    // Act & Assert
+    await expect(app.resolveNamedAsync('missing')).rejects.toThrow('Named service "missing" not found')
+    await expect(app.resolveKeyedAsync('missing')).rejects.toThrow('Keyed service "missing" not found')
+  })
+})
@@ -432,3 +432,265 @@ describe('Autowire - Error Handling', () => {
   })
 })
 
+
+describe('Autowire - Optional Parameters', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should pass undefined for unregistered optional and defaulted parameters', () => {
+    // Arrange
+    interface ILogger {
+      log(message: string): string
+    }
+    interface ICache {
+      get(key: string): string
+    }
+    interface IReportService {
+      logger?: ILogger
+      cache: ICache
+    }
+    class NoopCache implements ICache {
+      get() {
+        return 'noop'
+      }
+    }
+    class ReportService implements IReportService {
+      constructor(public logger?: ILogger, public cache: ICache = new NoopCache()) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(ReportService).as<IReportService>()
+    const app = builder.build()
+
+    // Act
+    const service = app.resolveType<IReportService>()
+
+    // Assert - the default initializer applies
+    expect(service.logger).toBeUndefined()
+    expect(service.cache).toBeInstanceOf(NoopCache)
+    expect(app.verify().valid).toBe(true)
+  })
+
+  it('should inject optional parameters when registered', async () => {
+    // Arrange
+    interface ICache {
+      get(key: string): string
+    }
+    interface IReportService {
+      cache: ICache
+    }
+    class NoopCache implements ICache {
+      get() {
+        return 'noop'
+      }
+    }
+    class RedisCache implements ICache {
+      get() {
+        return 'redis'
+      }
+    }
+    class ReportService implements IReportService {
+      constructor(public cache: ICache = new NoopCache()) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(ReportService).as<IReportService>()
+    builder.registerType(RedisCache).as<ICache>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IReportService>().cache).toBeInstanceOf(RedisCache)
+    expect((await app.resolveTypeAsync<IReportService>()).cache).toBeInstanceOf(RedisCache)
+  })
+
+  it('should still throw for missing dependencies of a registered optional parameter', () => {
+    // Arrange
+    interface IDatabase {}
+    interface ICache {}
+    interface IReportService {
+      cache?: ICache
+    }
+    class DatabaseCache implements ICache {
+      constructor(public database: IDatabase) {}
+    }
+    class ReportService implements IReportService {
+      constructor(public cache?: ICache) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(DatabaseCache).as<ICache>()
+    builder.registerType(ReportService).as<IReportService>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(() => app.resolveType<IReportService>()).toThrow('IDatabase')
+  })
+})
+
+describe('Autowire - Collection Parameters', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should inject every registration into array-typed parameters', async () => {
+    // Arrange
+    interface IEventHandler {
+      name: string
+    }
+    interface IValidator {
+      validate(value: string): boolean
+    }
+    interface IEventBus {
+      handlers: IEventHandler[]
+      validators: ReadonlyArray<IValidator>
+    }
+    class AuditHandler implements IEventHandler {
+      name = 'audit'
+    }
+    class MailHandler implements IEventHandler {
+      name = 'mail'
+    }
+    class EventBus implements IEventBus {
+      constructor(public handlers: IEventHandler[], public validators: ReadonlyArray<IValidator>) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(AuditHandler).as<IEventHandler>()
+    builder.registerType(MailHandler).as<IEventHandler>()
+    builder.registerType(EventBus).as<IEventBus>()
+    const app = builder.build()
+
+    // Act
+    const bus = app.resolveType<IEventBus>()
+
+    // Assert - registration order, empty when nothing is registered
+    expect(bus.handlers.map(h => h.name)).toEqual(['audit', 'mail'])
+    expect(bus.validators).toEqual([])
+    expect((await app.resolveTypeAsync<IEventBus>()).handlers).toHaveLength(2)
+    expect(app.verify().valid).toBe(true)
+  })
+
+  it('should inject readonly arrays and iterables', () => {
+    // Arrange
+    interface IPlugin {
+      name: string
+    }
+    interface IPluginHost {
+      names(): string[]
+    }
+    class AuthPlugin implements IPlugin {
+      name = 'auth'
+    }
+    class PluginHost implements IPluginHost {
+      constructor(private plugins: readonly IPlugin[], private extra: Iterable<IPlugin>) {}
+      names() {
+        return [...this.plugins, ...this.extra].map(p => p.name)
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(AuthPlugin).as<IPlugin>()
+    builder.registerType(PluginHost).as<IPluginHost>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IPluginHost>().names()).toEqual(['auth', 'auth'])
+  })
+})
+
+describe('Autowire - Property Injection', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should inject typed properties after construction', async () => {
+    // Arrange
+    interface ILogger {
+      log(message: string): string
+    }
+    interface IReportElement {
+      render(): string
+    }
+    class Logger implements ILogger {
+      log(message: string) {
+        return `log:${message}`
+      }
+    }
+    class ReportElement implements IReportElement {
+      logger!: ILogger
+      title = 'report'
+      render() {
+        return this.logger.log(this.title)
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(Logger).as<ILogger>()
+    builder.registerType(ReportElement).as<IReportElement>().propertiesAutowired()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IReportElement>().render()).toBe('log:report')
+    expect((await app.resolveTypeAsync<IReportElement>()).render()).toBe('log:report')
+  })
+
+  it('should leave properties of unregistered types unset unless strict', () => {
+    // Arrange
+    interface IMetrics {
+      count(): void
+    }
+    interface IWidget {
+      metrics?: IMetrics
+    }
+    class Widget implements IWidget {
+      metrics?: IMetrics
+    }
+    class StrictWidget implements IWidget {
+      metrics!: IMetrics
+    }
+
+    const builder = container.builder()
+    builder.registerType(Widget).as<IWidget>().propertiesAutowired()
+    builder.registerType(StrictWidget).as<StrictWidget>().propertiesAutowired({ strict: true })
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IWidget>().metrics).toBeUndefined()
+    expect(() => app.resolveType<StrictWidget>()).toThrow('IMetrics')
+    expect(app.verify().missing.map(m => m.token)).toEqual(['Token<IMetrics>'])
+  })
+
+  it('should combine constructor and property injection', () => {
+    // Arrange
+    interface ILogger {
+      name: string
+    }
+    interface IClock {
+      now: number
+    }
+    class OrderService {
+      clock!: IClock
+      constructor(public logger: ILogger) {}
+    }
+
+    const builder = container.builder()
+    builder.registerInstance({ name: 'console' }).as<ILogger>()
+    builder.registerInstance({ now: 42 }).as<IClock>()
+    builder.registerType(OrderService).as<OrderService>().propertiesAutowired()
+    const app = builder.build()
+
+    // Act
+    const service = app.resolveType<OrderService>()
+
+    // Assert
+    expect(service.logger.name).toBe('console')
+    expect(service.clock.now).toBe(42)
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest'
-import { Container } from '../src/container'
+import { Container, type InjectionContext } from '../src/container'
 import { Token } from '../src/token'
 
 describe('Builder - Basic Registration', () => {
@@ -293,6 +293,183 @@ describe('Builder - Build', () => {
   })
 })
 
+describe('Builder - Child Containers', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should resolve named and keyed services registered in the parent', () => {
+    // Arrange
+    const storeToken = Token<{ kind: string }>('IStore')
+    const cacheKey = Symbol('cache')
+
+    const parentBuilder = container.builder()
+    parentBuilder.register(() => ({ kind: 'primary' })).as(storeToken).named('primary')
+    parentBuilder.register(() => ({ kind: 'redis' })).as(storeToken).keyed(cacheKey)
+    const parent = parentBuilder.build()
+
+    // Act
+    const child = parent.builder().build()
+    const scope = child.beginLifetimeScope()
+
+    // Assert
+    expect(child.resolveNamed<{ kind: string }>('primary').kind).toBe('primary')
+    expect(child.resolveKeyed<{ kind: string }>(cacheKey, storeToken).kind).toBe('redis')
+    expect(scope.resolveNamed<{ kind: string }>('primary').kind).toBe('primary')
+  })
+
+  it('should let a child override a parent name for the same service type', () => {
+    // Arrange
+    const storeToken = Token<{ kind: string }>('IStore')
+    const queueToken = Token<{ kind: string }>('IQueue')
+
+    const parentBuilder = container.builder()
+    parentBuilder.register(() => ({ kind: 'parent store' })).as(storeToken).named('main')
+    parentBuilder.register(() => ({ kind: 'parent queue' })).as(queueToken).named('main')
+    const parent = parentBuilder.build()
+
+    const childBuilder = parent.builder()
+    childBuilder.register(() => ({ kind: 'child store' })).as(storeToken).named('main')
+    const child = childBuilder.build()
+
+    // Act & Assert
+    expect(child.resolveNamed('main', storeToken).kind).toBe('child store')
+    expect(child.resolveNamed('main', queueToken).kind).toBe('parent queue')
+    expect(parent.resolveNamed('main', storeToken).kind).toBe('parent store')
+    expect(() => child.resolveNamed('main')).toThrow('registered for several service types')
+  })
+
+  it('should append child registrations to the parent in resolveAll()', async () => {
+    // Arrange
+    const pluginToken = Token<string>('IPlugin')
+
+    const parentBuilder = container.builder()
+    parentBuilder.register(() => 'auth').as(pluginToken)
+    parentBuilder.register(() => 'metrics').as(pluginToken)
+    const parent = parentBuilder.build()
+
+    const childBuilder = parent.builder()
+    childBuilder.register(() => 'tracing').as(pluginToken)
+    const child = childBuilder.build()
+
+    // Act & Assert
+    expect(child.resolveAll(pluginToken)).toEqual(['auth', 'metrics', 'tracing'])
+    expect(await child.resolveAllAsync(pluginToken)).toEqual(['auth', 'metrics', 'tracing'])
+    expect(child.createChild().resolveAll(pluginToken)).toEqual(['auth', 'metrics', 'tracing'])
+    expect(parent.resolveAll(pluginToken)).toEqual(['auth', 'metrics'])
+    // The last registration still wins for a single resolve
+    expect(child.resolve(pluginToken)).toBe('tracing')
+  })
+
+  it('should count inherited registrations when verifying', () => {
+    // Arrange
+    class Notifier {}
+    class OrderService {
+      constructor(public notifier: Notifier) {}
+    }
+    const notifierToken = Token<Notifier>('INotifier')
+    const orderServiceToken = Token<OrderService>('IOrderService')
+
+    const parentBuilder = container.builder()
+    parentBuilder.registerType(Notifier).as(notifierToken)
+    const parent = parentBuilder.build()
+
+    const childBuilder = parent.builder()
+    childBuilder.registerType(Notifier).as(notifierToken)
+    childBuilder.registerType(OrderService).as(orderServiceToken).autoWire({ map: { notifier: notifierToken } })
+    const child = childBuilder.build()
+
+    // Act & Assert
+    expect(child.verify().ambiguous).toEqual([
+      { token: 'Token<INotifier>', registrations: 2, requiredBy: ['Token<IOrderService>'] }
+    ])
+  })
+})
+
+describe('Builder - Injection Context', () => {
+  let container: Container
+
+  interface ILogger {
+    category: string
+  }
+  interface IReportService {
+    logger: ILogger
+  }
+  interface IAnalyticsService {
+    logger: ILogger
+  }
+  class Logger implements ILogger {
+    constructor(public category: string) {}
+  }
+  class ReportService implements IReportService {
+    constructor(public logger: ILogger) {}
+  }
+  class AnalyticsService implements IAnalyticsService {
+    constructor(public logger: ILogger) {}
+  }
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should give each consumer a factory-created instance for its own class', async () => {
+    // Arrange
+    const builder = container.builder()
+    builder.register((_c, ctx) => new Logger(ctx.consumerName ?? 'root')).as<ILogger>().instancePerDependency()
+    builder.registerType(ReportService).as<IReportService>()
+    builder.registerType(AnalyticsService).as<IAnalyticsService>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IReportService>().logger.category).toBe('ReportService')
+    expect((await app.resolveTypeAsync<IAnalyticsService>()).logger.category).toBe('AnalyticsService')
+    expect(app.resolveType<ILogger>().category).toBe('root')
+  })
+
+  it('should describe the consumer registration and resolution path', () => {
+    // Arrange
+    const contexts: InjectionContext[] = []
+
+    const builder = container.builder()
+    builder
+      .register((_c, ctx) => {
+        contexts.push(ctx)
+        return new Logger('report')
+      })
+      .as<ILogger>()
+    builder.registerType(ReportService).as<IReportService>()
+    const app = builder.build()
+
+    // Act
+    app.resolveType<IReportService>()
+
+    // Assert
+    expect(contexts).toHaveLength(1)
+    expect(contexts[0]).toMatchObject({
+      path: ['Token<IReportService>'],
+      consumer: ReportService,
+      consumerName: 'ReportService',
+      consumerType: 'IReportService'
+    })
+    expect(contexts[0].token.toString()).toBe('Token<ILogger>')
+    expect(contexts[0].consumerToken?.toString()).toBe('Token<IReportService>')
+  })
+
+  it('should pass the injection context to factories bound on the container', () => {
+    // Arrange
+    const categoryToken = Token<string>('ICategory')
+    const serviceToken = Token<{ category: string }>('IService')
+    container.bindFactory(categoryToken, (_c, ctx) => ctx.consumerToken?.toString() ?? 'none')
+    container.bindFactory(serviceToken, c => ({ category: c.resolve(categoryToken) }))
+
+    // Act & Assert
+    expect(container.resolve(serviceToken).category).toBe('Token<IService>')
+    expect(container.resolve(categoryToken)).toBe('none')
+  })
+})
+
 describe('Builder - Modules', () => {
   let container: Container
 
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import { Container } from '../src/container'
 import { Token } from '../src/token'
+import { BindingNotFoundError, DisposalError } from '../src/errors'
 
 describe('Container - Value Binding', () => {
   let container: Container
@@ -542,6 +543,51 @@ describe('Container - Child Containers', () => {
   })
 })
 
+describe('Container - Optional Resolution', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should report whether a token is registered, including the parent chain', () => {
+    // Arrange
+    const configToken = Token<object>('IConfig')
+    const metricsToken = Token<object>('IMetrics')
+    container.bindValue(configToken, {})
+
+    // Act
+    const child = container.createChild()
+
+    // Assert
+    expect(container.isRegistered(configToken)).toBe(true)
+    expect(child.isRegistered(configToken)).toBe(true)
+    expect(child.isRegistered(metricsToken)).toBe(false)
+  })
+
+  it('should return undefined from tryResolve() for unregistered tokens', () => {
+    // Arrange
+    const configToken = Token<{ debug: boolean }>('IConfig')
+    const metricsToken = Token<object>('IMetrics')
+    container.bindValue(configToken, { debug: true })
+
+    // Act & Assert
+    expect(container.tryResolve(configToken)?.debug).toBe(true)
+    expect(container.tryResolve(metricsToken)).toBeUndefined()
+  })
+
+  it('should still throw for missing dependencies of a registered token', () => {
+    // Arrange
+    class ReportService {}
+    const databaseToken = Token<object>('IDatabase')
+    const reportToken = Token<ReportService>('IReportService')
+    container.bindClass(reportToken, ReportService, { dependencies: [databaseToken] })
+
+    // Act & Assert
+    expect(() => container.tryResolve(reportToken)).toThrow(BindingNotFoundError)
+  })
+})
+
 describe('Container - Disposal', () => {
   let container: Container
 
@@ -648,14 +694,98 @@ describe('Container - Disposal', () => {
     container.resolve(token2)
 
     // Assert
-    // Should not throw, but should continue disposing other services
-    await expect(container.dispose()).resolves.not.toThrow()
+    // Should continue disposing other services, then report the failure
+    await expect(container.dispose()).rejects.toThrow(DisposalError)
 
     // Both should have been attempted
     expect(disposed).toContain('Service1')
     expect(disposed).toContain('Service2')
   })
 
+  it('should list each failing token and cause in DisposalError', async () => {
+    // Arrange
+    const token1 = Token<object>('Service1')
+    const token2 = Token<object>('Service2')
+    const cause1 = new Error('Socket already closed')
+    const cause2 = new Error('Flush timed out')
+
+    container.bindValue(token1, { dispose: () => { throw cause1 } })
+    container.bindValue(token2, { dispose: async () => { throw cause2 } })
+    container.resolve(token1)
+    container.resolve(token2)
+
+    // Act
+    const error = await container.dispose().catch(e => e)
+
+    // Assert
+    expect(error).toBeInstanceOf(DisposalError)
+    expect(error.failures).toEqual([
+      { token: 'Token<Service2>', error: cause2 },
+      { token: 'Token<Service1>', error: cause1 }
+    ])
+    expect(error.errors).toEqual([cause2, cause1])
+    expect(error.message).toContain('Token<Service1>: Socket already closed')
+  })
+
+  it('should report failures to onError instead of throwing', async () => {
+    // Arrange
+    const token = Token<object>('Service')
+    const cause = new Error('Disposal error')
+    const reported: Array<{ error: unknown; token: Token<any> }> = []
+
+    container.bindValue(token, { dispose: () => { throw cause } })
+    container.resolve(token)
+
+    // Act
+    await container.dispose({ onError: (error, failedToken) => reported.push({ error, token: failedToken }) })
+
+    // Assert
+    expect(reported).toEqual([{ error: cause, token }])
+  })
+
+  it('should prefer Symbol.asyncDispose and Symbol.dispose over dispose()', async () => {
+    // Arrange
+    const calls: string[] = []
+    const asyncToken = Token<object>('AsyncDisposable')
+    const syncToken = Token<object>('SyncDisposable')
+
+    container.bindValue(asyncToken, {
+      [Symbol.asyncDispose]: async () => { calls.push('asyncDispose') },
+      dispose: () => calls.push('dispose')
+    })
+    container.bindValue(syncToken, {
+      [Symbol.dispose]: () => { calls.push('dispose symbol') }
+    })
+    container.resolve(asyncToken)
+    container.resolve(syncToken)
+
+    // Act
+    await container.dispose()
+
+    // Assert
+    expect(calls).toEqual(['dispose symbol', 'asyncDispose'])
+  })
+
+  it('should dispose lifetime scopes through Symbol.asyncDispose (await using)', async () => {
+    // Arrange
+    const token = Token<{ disposed: boolean; dispose(): void }>('IUnitOfWork')
+    container.bindFactory(token, () => ({
+      disposed: false,
+      dispose() {
+        this.disposed = true
+      }
+    }), { lifetime: 'per-lifetime-scope' })
+
+    const scope = container.beginLifetimeScope()
+    const uow = scope.resolve(token)
+
+    // Act - what `await using scope = ...` calls when the block exits
+    await scope[Symbol.asyncDispose]()
+
+    // Assert
+    expect(uow.disposed).toBe(true)
+  })
+
   it('should handle async dispose methods', async () => {
     // Arrange
     interface IAsyncService {
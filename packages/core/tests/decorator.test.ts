@@ -0,0 +1,257 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import { BindingNotFoundError } from '../src/errors'
+
+describe('Decorators - Container.bindDecorator()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should wrap the bound instance', () => {
+    // Arrange
+    interface IGreeter {
+      greet(): string
+    }
+    const token = Token<IGreeter>('IGreeter')
+
+    container.bindFactory(token, () => ({ greet: () => 'hello' }))
+    container.bindDecorator(token, (inner) => ({ greet: () => inner.greet().toUpperCase() }))
+
+    // Act
+    const greeter = container.resolve(token)
+
+    // Assert
+    expect(greeter.greet()).toBe('HELLO')
+  })
+
+  it('should resolve the decorated token to the inner instance inside the decorator', () => {
+    // Arrange
+    interface IGreeter {
+      greet(): string
+    }
+    const token = Token<IGreeter>('IGreeter')
+
+    container.bindFactory(token, () => ({ greet: () => 'hello' }))
+    container.bindDecorator(token, (_inner, c) => {
+      const inner = c.resolve(token)
+      return { greet: () => `${inner.greet()}!` }
+    })
+
+    // Act & Assert
+    expect(container.resolve(token).greet()).toBe('hello!')
+  })
+
+  it('should keep the inner binding lifetime', () => {
+    // Arrange
+    const singletonToken = Token<{ id: number }>('Singleton')
+    const transientToken = Token<{ id: number }>('Transient')
+    let decorated = 0
+
+    container.bindFactory(singletonToken, () => ({ id: 1 }), { lifetime: 'singleton' })
+    container.bindFactory(transientToken, () => ({ id: 2 }), { lifetime: 'transient' })
+    container.bindDecorator(singletonToken, (inner) => ({ id: inner.id + ++decorated }))
+    container.bindDecorator(transientToken, (inner) => ({ id: inner.id + ++decorated }))
+
+    // Act & Assert
+    expect(container.resolve(singletonToken)).toBe(container.resolve(singletonToken))
+    expect(container.resolve(transientToken)).not.toBe(container.resolve(transientToken))
+    expect(decorated).toBe(3)
+  })
+
+  it('should decorate inherited bindings without affecting the parent', () => {
+    // Arrange
+    const token = Token<string[]>('Steps')
+    container.bindFactory(token, () => ['inner'])
+
+    const child = container.createChild()
+    child.bindDecorator(token, (inner) => [...inner, 'decorated'])
+
+    // Act & Assert
+    expect(child.resolve(token)).toEqual(['inner', 'decorated'])
+    expect(container.resolve(token)).toEqual(['inner'])
+  })
+
+  it('should decorate async factories in resolveAsync()', async () => {
+    // Arrange
+    const token = Token<string[]>('Steps')
+    container.bindFactory(token, async () => ['inner'])
+    container.bindDecorator(token, (inner) => [...inner, 'decorated'])
+
+    // Act & Assert
+    expect(await container.resolveAsync(token)).toEqual(['inner', 'decorated'])
+  })
+
+  it('should throw when decorating an unbound token', () => {
+    // Arrange
+    const token = Token<object>('IMissing')
+
+    // Act & Assert
+    expect(() => container.bindDecorator(token, (inner) => inner)).toThrow(BindingNotFoundError)
+  })
+})
+
+describe('Decorators - Builder.registerDecorator()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should wrap the registered implementation with autowired inner instance', () => {
+    // Arrange
+    interface IUserRepository {
+      find(id: number): string
+    }
+    interface ICache {
+      get(key: string): string | undefined
+    }
+
+    class SqlUserRepository implements IUserRepository {
+      find(id: number) {
+        return `user-${id}`
+      }
+    }
+
+    class MemoryCache implements ICache {
+      get(key: string) {
+        return key === '1' ? 'cached-user-1' : undefined
+      }
+    }
+
+    class CachingUserRepository implements IUserRepository {
+      constructor(
+        public inner: IUserRepository,
+        private cache: ICache
+      ) {}
+
+      find(id: number) {
+        return this.cache.get(String(id)) ?? this.inner.find(id)
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(MemoryCache).as<ICache>()
+    builder.registerType(SqlUserRepository).as<IUserRepository>()
+    builder.registerDecorator(CachingUserRepository).as<IUserRepository>()
+    const app = builder.build()
+
+    // Act
+    const repository = app.resolveType<IUserRepository>()
+
+    // Assert
+    expect(repository).toBeInstanceOf(CachingUserRepository)
+    expect((repository as CachingUserRepository).inner).toBeInstanceOf(SqlUserRepository)
+    expect(repository.find(1)).toBe('cached-user-1')
+    expect(repository.find(2)).toBe('user-2')
+  })
+
+  it('should stack decorators in registration order', () => {
+    // Arrange
+    interface IMessage {
+      text(): string
+    }
+
+    class Message implements IMessage {
+      text() {
+        return 'message'
+      }
+    }
+
+    class Bold implements IMessage {
+      constructor(private inner: IMessage) {}
+      text() {
+        return `<b>${this.inner.text()}</b>`
+      }
+    }
+
+    class Italic implements IMessage {
+      constructor(private inner: IMessage) {}
+      text() {
+        return `<i>${this.inner.text()}</i>`
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerDecorator(Bold).as<IMessage>()
+    builder.registerType(Message).as<IMessage>()
+    builder.registerDecorator(Italic).as<IMessage>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IMessage>().text()).toBe('<i><b>message</b></i>')
+  })
+
+  it('should respect the inner registration lifetime', () => {
+    // Arrange
+    interface IClock {
+      now(): number
+    }
+    interface IStopwatch {
+      elapsed(): number
+    }
+    class Clock implements IClock {
+      now() {
+        return 1
+      }
+    }
+    class Stopwatch implements IStopwatch {
+      elapsed() {
+        return 2
+      }
+    }
+    class LoggingClock implements IClock {
+      constructor(public inner: IClock) {}
+      now() {
+        return this.inner.now()
+      }
+    }
+    class LoggingStopwatch implements IStopwatch {
+      constructor(public inner: IStopwatch) {}
+      elapsed() {
+        return this.inner.elapsed()
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(Clock).as<IClock>().singleInstance()
+    builder.registerType(Stopwatch).as<IStopwatch>().instancePerDependency()
+    builder.registerDecorator(LoggingClock).as<IClock>()
+    builder.registerDecorator(LoggingStopwatch).as<IStopwatch>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IClock>()).toBeInstanceOf(LoggingClock)
+    expect(app.resolveType<IClock>()).toBe(app.resolveType<IClock>())
+    expect(app.resolveType<IStopwatch>()).toBeInstanceOf(LoggingStopwatch)
+    expect(app.resolveType<IStopwatch>()).not.toBe(app.resolveType<IStopwatch>())
+  })
+
+  it('should not count decorators as registrations for asDefault()', () => {
+    // Arrange
+    interface IClock {
+      now(): number
+    }
+    class SystemClock implements IClock {
+      now() {
+        return 1
+      }
+    }
+    class OffsetClock implements IClock {
+      constructor(private inner: IClock) {}
+      now() {
+        return this.inner.now() + 1
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(SystemClock).as<IClock>().asDefault()
+    builder.registerDecorator(OffsetClock).as<IClock>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IClock>().now()).toBe(2)
+  })
+})
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+
+interface ILogger {
+  name: string
+}
+interface ITenantDb {
+  tenantId: string
+  region?: string
+  logger: ILogger
+}
+
+describe('Delegate Factory - resolveFactory()', () => {
+  let container: Container
+
+  class TenantDb implements ITenantDb {
+    constructor(public tenantId: string, public logger: ILogger) {}
+  }
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should supply parameters without DI from the caller', () => {
+    // Arrange
+    const builder = container.builder()
+    builder.registerInstance({ name: 'console' }).as<ILogger>()
+    builder.registerType(TenantDb).as<ITenantDb>().instancePerDependency()
+    const app = builder.build()
+
+    // Act
+    const createTenantDb = app.resolveFactory<(tenantId: string) => ITenantDb>()
+    const acme = createTenantDb('acme')
+
+    // Assert
+    expect(acme).toBeInstanceOf(TenantDb)
+    expect(acme.tenantId).toBe('acme')
+    expect(acme.logger.name).toBe('console')
+    expect(createTenantDb('globex')).not.toBe(acme)
+  })
+
+  it('should match delegate parameters by name, then by type', () => {
+    // Arrange
+    class RegionalTenantDb implements ITenantDb {
+      constructor(public region: string, public logger: ILogger, public tenantId: string) {}
+    }
+
+    const builder = container.builder()
+    builder.registerInstance({ name: 'console' }).as<ILogger>()
+    builder.registerType(RegionalTenantDb).as<ITenantDb>().instancePerDependency()
+    const app = builder.build()
+
+    // Act
+    const byName = app.resolveFactory<(tenantId: string, region: string) => ITenantDb>()('acme', 'eu')
+    const byType = app.resolveFactory<(tenantId: string, location: string) => ITenantDb>()('acme', 'us')
+
+    // Assert
+    expect(byName).toMatchObject({ tenantId: 'acme', region: 'eu' })
+    expect(byType).toMatchObject({ tenantId: 'acme', region: 'us' })
+  })
+
+  it('should create classes whose parameters all come from the caller', () => {
+    // Arrange
+    interface IConnection {
+      url: string
+    }
+    class Connection implements IConnection {
+      constructor(public url: string) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(Connection).as<IConnection>().instancePerDependency()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveFactory<(url: string) => IConnection>()('db://acme').url).toBe('db://acme')
+  })
+
+  it('should reject plain resolves of classes whose parameters all come from the caller', async () => {
+    // Arrange
+    interface IConnection {
+      url: string
+    }
+    class Connection implements IConnection {
+      constructor(public url: string, public port: number) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(Connection).as<IConnection>().instancePerDependency()
+    const app = builder.build()
+
+    // Act & Assert - the parameters are only recorded for resolveFactory()
+    expect(() => app.resolveType<IConnection>()).toThrow('has constructor dependencies but no autowiring configuration')
+    await expect(app.resolveTypeAsync<IConnection>()).rejects.toThrow('no autowiring configuration')
+    expect(app.resolveFactory<(url: string, port: number) => IConnection>()('db://acme', 5432).port).toBe(5432)
+  })
+
+  it('should autowire delegate factory constructor parameters', () => {
+    // Arrange
+    interface ITenantRouter {
+      route(tenantId: string): ITenantDb
+    }
+    class TenantRouter implements ITenantRouter {
+      constructor(private createDb: (tenantId: string) => ITenantDb) {}
+      route(tenantId: string) {
+        return this.createDb(tenantId)
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerInstance({ name: 'console' }).as<ILogger>()
+    builder.registerType(TenantDb).as<ITenantDb>().instancePerDependency()
+    builder.registerType(TenantRouter).as<ITenantRouter>()
+    const app = builder.build()
+
+    // Act
+    const db = app.resolveType<ITenantRouter>().route('acme')
+
+    // Assert
+    expect(db.tenantId).toBe('acme')
+    expect(db.logger.name).toBe('console')
+  })
+
+  it('should start a new resolve on every call of delegates made during resolveTypeAsync()', async () => {
+    // Arrange
+    interface ITenantRouter {
+      createDb: (tenantId: string) => ITenantDb
+    }
+
+    let loggers = 0
+    const builder = container.builder()
+    builder.register(() => ({ name: `logger-${++loggers}` })).as<ILogger>().instancePerRequest()
+    builder.registerType(TenantDb).as<ITenantDb>().instancePerDependency()
+    builder
+      .register(async c => ({ createDb: c.resolveFactory<(tenantId: string) => ITenantDb>() }))
+      .as<ITenantRouter>()
+    const app = builder.build()
+
+    // Act
+    const { createDb } = await app.resolveTypeAsync<ITenantRouter>()
+
+    // Assert - the finished resolve's per-request logger is not reused
+    expect(createDb('acme').logger).not.toBe(createDb('globex').logger)
+  })
+
+  it('should pass the arguments to factory registrations', () => {
+    // Arrange
+    const builder = container.builder()
+    builder
+      .register((_c, context) => ({ tenantId: String(context.arguments?.tenantId), logger: { name: 'none' } }))
+      .as<ITenantDb>()
+      .instancePerDependency()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveFactory<(tenantId: string) => ITenantDb>()('acme').tenantId).toBe('acme')
+  })
+
+  it('should reject shared registrations and parameters matching nothing', () => {
+    // Arrange
+    const builder = container.builder()
+    builder.registerInstance({ name: 'console' }).as<ILogger>()
+    builder.registerType(TenantDb).as<ITenantDb>()
+    const app = builder.build()
+
+    const scopedBuilder = container.builder()
+    scopedBuilder.registerInstance({ name: 'console' }).as<ILogger>()
+    scopedBuilder.registerType(TenantDb).as<ITenantDb>().instancePerDependency()
+    const scoped = scopedBuilder.build()
+
+    // Act & Assert
+    expect(() => app.resolveFactory<(tenantId: string) => ITenantDb>()).toThrow('instancePerDependency()')
+    expect(() => scoped.resolveFactory<(shard: number) => ITenantDb>()).toThrow(
+      'Delegate parameter "shard: number" matches no constructor parameter'
+    )
+  })
+})
@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { parseGenericTypeName, closeTypeName } from '../src/generics'
+
+interface User {
+  name: string
+}
+interface Order {
+  total: number
+}
+
+describe('Generics - Type names', () => {
+  it('should parse constructed generic type names', () => {
+    // Act & Assert
+    expect(parseGenericTypeName('IRepository<User>')).toEqual({ name: 'IRepository', typeArguments: ['User'] })
+    expect(parseGenericTypeName('IMap<string, IList<User>>')).toEqual({
+      name: 'IMap',
+      typeArguments: ['string', 'IList<User>']
+    })
+    expect(parseGenericTypeName('ILogger')).toBeUndefined()
+  })
+
+  it('should substitute type parameters by name', () => {
+    // Act & Assert
+    expect(closeTypeName('IDbSet<T>', ['T'], ['User'])).toBe('IDbSet<User>')
+    expect(closeTypeName('IMap<TKey, TValue>', ['TKey', 'TValue'], ['string', 'Order'])).toBe('IMap<string, Order>')
+    expect(closeTypeName('ITimestamp', ['T'], ['User'])).toBe('ITimestamp')
+  })
+})
+
+describe('Generics - Constructed type registrations', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should keep registrations of different constructed types apart', () => {
+    // Arrange
+    interface IRepository<T> {
+      find(): T
+    }
+    class UserRepository implements IRepository<User> {
+      find() {
+        return { name: 'ada' }
+      }
+    }
+    class OrderRepository implements IRepository<Order> {
+      find() {
+        return { total: 42 }
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(UserRepository).as<IRepository<User>>()
+    builder.registerType(OrderRepository).as<IRepository<Order>>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IRepository<User>>()).toBeInstanceOf(UserRepository)
+    expect(app.resolveType<IRepository<Order>>()).toBeInstanceOf(OrderRepository)
+  })
+
+  it('should autowire constructed generic constructor parameters', () => {
+    // Arrange
+    interface IRepository<T> {
+      find(): T
+    }
+    interface IUserService {
+      users: IRepository<User>
+    }
+    class UserRepository implements IRepository<User> {
+      find() {
+        return { name: 'ada' }
+      }
+    }
+    class UserService implements IUserService {
+      constructor(public users: IRepository<User>) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(UserRepository).as<IRepository<User>>()
+    builder.registerType(UserService).as<IUserService>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IUserService>().users).toBeInstanceOf(UserRepository)
+  })
+})
+
+describe('Generics - Open generic registrations', () => {
+  let container: Container
+
+  interface IDbSet<T> {
+    entity: string
+    items: T[]
+  }
+  interface IRepository<T> {
+    set: IDbSet<T>
+  }
+  class Repository<T> implements IRepository<T> {
+    constructor(public set: IDbSet<T>) {}
+  }
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should close an open generic over the requested type argument', async () => {
+    // Arrange
+    const builder = container.builder()
+    builder.registerInstance({ entity: 'users', items: [] }).as<IDbSet<User>>()
+    builder.registerInstance({ entity: 'orders', items: [] }).as<IDbSet<Order>>()
+    builder.registerGeneric(Repository).as<IRepository<any>>()
+    const app = builder.build()
+
+    // Act
+    const users = app.resolveType<IRepository<User>>()
+    const orders = await app.resolveTypeAsync<IRepository<Order>>()
+
+    // Assert
+    expect(users).toBeInstanceOf(Repository)
+    expect(users.set.entity).toBe('users')
+    expect(orders.set.entity).toBe('orders')
+  })
+
+  it('should apply the lifetime per constructed type', () => {
+    // Arrange
+    const builder = container.builder()
+    builder.registerInstance({ entity: 'users', items: [] }).as<IDbSet<User>>()
+    builder.registerInstance({ entity: 'orders', items: [] }).as<IDbSet<Order>>()
+    builder.registerGeneric(Repository).as<IRepository<any>>().singleInstance()
+    const app = builder.build()
+
+    // Act
+    const users = app.resolveType<IRepository<User>>()
+
+    // Assert - shared per constructed type, also with lifetime scopes
+    expect(app.resolveType<IRepository<User>>()).toBe(users)
+    expect(app.beginLifetimeScope().resolveType<IRepository<User>>()).toBe(users)
+    expect(app.resolveType<IRepository<Order>>()).not.toBe(users)
+  })
+
+  it('should prefer registrations of the constructed type', () => {
+    // Arrange
+    class UserRepository implements IRepository<User> {
+      set = { entity: 'custom', items: [] }
+    }
+
+    const builder = container.builder()
+    builder.registerInstance({ entity: 'orders', items: [] }).as<IDbSet<Order>>()
+    builder.registerGeneric(Repository).as<IRepository<any>>()
+    builder.registerType(UserRepository).as<IRepository<User>>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IRepository<User>>()).toBeInstanceOf(UserRepository)
+    expect(app.resolveType<IRepository<Order>>()).toBeInstanceOf(Repository)
+  })
+
+  it('should report missing closed dependencies like any other binding', () => {
+    // Arrange
+    interface IUserService {}
+    class UserService implements IUserService {
+      constructor(public users: IRepository<User>) {}
+    }
+
+    const builder = container.builder()
+    builder.registerGeneric(Repository).as<IRepository<any>>()
+    builder.registerType(UserService).as<IUserService>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.isRegisteredType<IRepository<User>>()).toBe(true)
+    expect(() => app.resolveType<IUserService>()).toThrow('IDbSet<User>')
+    expect(app.verify().missing).toEqual([{
+      token: 'Token<IDbSet<User>>',
+      path: ['Token<IUserService>', 'Token<IRepository<User>>', 'Token<IDbSet<User>>']
+    }])
+  })
+
+  it('should require a generic interface type', () => {
+    // Arrange
+    interface ILogger {}
+    const builder = container.builder()
+    builder.registerGeneric(Repository).as<ILogger>()
+
+    // Act & Assert
+    expect(() => builder.build()).toThrow('needs a generic interface type')
+  })
+})
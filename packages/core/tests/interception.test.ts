@@ -0,0 +1,255 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import { createInterceptorProxy, type Interceptor, type Invocation } from '../src/interception'
+
+describe('Interception - createInterceptorProxy()', () => {
+  it('should pass method name, arguments and target to the interceptor', () => {
+    // Arrange
+    class Calculator {
+      add(a: number, b: number) {
+        return a + b
+      }
+    }
+    const target = new Calculator()
+    const calls: Array<{ method: string | symbol; args: any[]; target: any }> = []
+
+    const recorder: Interceptor = {
+      intercept(invocation) {
+        calls.push({ method: invocation.method, args: [...invocation.args], target: invocation.target })
+        return invocation.proceed()
+      }
+    }
+
+    // Act
+    const proxy = createInterceptorProxy(target, [recorder])
+    const result = proxy.add(2, 3)
+
+    // Assert
+    expect(result).toBe(5)
+    expect(calls).toEqual([{ method: 'add', args: [2, 3], target }])
+  })
+
+  it('should run interceptors in order with the first one outermost', () => {
+    // Arrange
+    const order: string[] = []
+    const named = (name: string): Interceptor => ({
+      intercept(invocation) {
+        order.push(`${name}:before`)
+        const result = invocation.proceed()
+        order.push(`${name}:after`)
+        return result
+      }
+    })
+
+    const proxy = createInterceptorProxy({ run: () => order.push('target') }, [named('outer'), named('inner')])
+
+    // Act
+    proxy.run()
+
+    // Assert
+    expect(order).toEqual(['outer:before', 'inner:before', 'target', 'inner:after', 'outer:after'])
+  })
+
+  it('should let interceptors replace arguments and return values', () => {
+    // Arrange
+    const doubler: Interceptor = {
+      intercept(invocation) {
+        invocation.args = invocation.args.map((arg: number) => arg * 2)
+        return invocation.proceed() + 1
+      }
+    }
+
+    const proxy = createInterceptorProxy({ add: (a: number, b: number) => a + b }, [doubler])
+
+    // Act & Assert
+    expect(proxy.add(1, 2)).toBe(7)
+  })
+
+  it('should support async methods', async () => {
+    // Arrange
+    class Repository {
+      async load(id: number) {
+        await new Promise(resolve => setTimeout(resolve, 1))
+        return { id }
+      }
+    }
+
+    const log: string[] = []
+    const timing: Interceptor = {
+      async intercept(invocation: Invocation) {
+        log.push('start')
+        const result = await invocation.proceed()
+        log.push('end')
+        return result
+      }
+    }
+
+    // Act
+    const proxy = createInterceptorProxy(new Repository(), [timing])
+    const result = await proxy.load(7)
+
+    // Assert
+    expect(result).toEqual({ id: 7 })
+    expect(log).toEqual(['start', 'end'])
+  })
+
+  it('should call methods with the target as this and leave properties untouched', () => {
+    // Arrange
+    class Counter {
+      count = 0
+      increment() {
+        this.count++
+        return this.count
+      }
+    }
+    const passThrough: Interceptor = { intercept: invocation => invocation.proceed() }
+
+    const target = new Counter()
+    const proxy = createInterceptorProxy(target, [passThrough])
+
+    // Act
+    proxy.increment()
+    proxy.increment()
+
+    // Assert
+    expect(target.count).toBe(2)
+    expect(proxy.count).toBe(2)
+    expect(proxy.increment).toBe(proxy.increment)
+  })
+})
+
+describe('Interception - RegistrationBuilder.intercept()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should intercept with an interceptor resolved by type name', () => {
+    // Arrange
+    interface IOrderService {
+      place(item: string): string
+    }
+
+    class OrderService implements IOrderService {
+      place(item: string) {
+        return `placed ${item}`
+      }
+    }
+
+    class AuditInterceptor implements Interceptor {
+      readonly entries: string[] = []
+      intercept(invocation: Invocation) {
+        this.entries.push(String(invocation.method))
+        return invocation.proceed()
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(AuditInterceptor).as<AuditInterceptor>().singleInstance()
+    builder.registerType(OrderService).as<IOrderService>().intercept<AuditInterceptor>()
+    const app = builder.build()
+
+    // Act
+    const service = app.resolveType<IOrderService>()
+    const result = service.place('book')
+
+    // Assert
+    expect(result).toBe('placed book')
+    expect(app.resolveType<AuditInterceptor>().entries).toEqual(['place'])
+  })
+
+  it('should accept interceptor tokens and instances', () => {
+    // Arrange
+    class Greeter {
+      greet(name: string) {
+        return `hello ${name}`
+      }
+    }
+
+    const upperToken = Token<Interceptor>('UpperCaseInterceptor')
+    const exclaim: Interceptor = { intercept: invocation => `${invocation.proceed()}!` }
+    const greeterToken = Token<Greeter>('Greeter')
+
+    const builder = container.builder()
+    builder
+      .registerInstance<Interceptor>({ intercept: invocation => invocation.proceed().toUpperCase() })
+      .as(upperToken)
+    builder.registerType(Greeter).as(greeterToken).intercept(upperToken).intercept(exclaim)
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolve(greeterToken).greet('nova')).toBe('HELLO NOVA!')
+  })
+
+  it('should keep the registration lifetime for intercepted instances', () => {
+    // Arrange
+    class Service {
+      ping() {
+        return 'pong'
+      }
+    }
+    const passThrough: Interceptor = { intercept: invocation => invocation.proceed() }
+    const singletonToken = Token<Service>('SingletonService')
+    const transientToken = Token<Service>('TransientService')
+
+    const builder = container.builder()
+    builder.registerType(Service).as(singletonToken).singleInstance().intercept(passThrough)
+    builder.registerType(Service).as(transientToken).instancePerDependency().intercept(passThrough)
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolve(singletonToken)).toBe(app.resolve(singletonToken))
+    expect(app.resolve(transientToken)).not.toBe(app.resolve(transientToken))
+    expect(app.resolve(transientToken).ping()).toBe('pong')
+  })
+
+  it('should dispose intercepted instances without running the interceptors', async () => {
+    // Arrange
+    class Connection {
+      disposed = 0
+      query() {
+        return 'rows'
+      }
+      dispose() {
+        this.disposed++
+      }
+    }
+    const calls: Array<string | symbol> = []
+    const swallowing: Interceptor = {
+      intercept: invocation => {
+        calls.push(invocation.method)
+        return invocation.method === 'query' ? invocation.proceed() : undefined
+      }
+    }
+    const singletonToken = Token<Connection>('SharedConnection')
+    const transientToken = Token<Connection>('Connection')
+
+    const builder = container.builder()
+    builder.registerType(Connection).as(singletonToken).singleInstance().intercept(swallowing)
+    builder.registerType(Connection).as(transientToken).instancePerDependency().intercept(swallowing)
+    const app = builder.build()
+    const shared = app.resolve(singletonToken)
+    const connection = app.resolve(transientToken)
+    connection.query()
+
+    // Act
+    await app.dispose()
+
+    // Assert - each instance disposed once, and not through the interceptor
+    expect(shared.disposed).toBe(1)
+    expect(connection.disposed).toBe(1)
+    expect(calls).toEqual(['query'])
+  })
+
+  it('should throw when no interceptor is given', () => {
+    // Arrange
+    class Service {}
+
+    // Act & Assert
+    expect(() =>
+      container.builder().registerType(Service).as(Token<Service>()).intercept()
+    ).toThrow(/requires an interceptor/)
+  })
+})
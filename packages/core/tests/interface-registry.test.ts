@@ -348,6 +348,138 @@ describe('Interface Registry - Keyed Services', () => {
   })
 })
 
+describe('Interface Registry - Keyed Namespaces', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should scope keys per interface type', () => {
+    // Arrange
+    interface ILogger {
+      log(message: string): void
+    }
+    interface IStorage {
+      save(data: string): void
+    }
+    class FileLogger implements ILogger {
+      log() {}
+    }
+    class FileStorage implements IStorage {
+      save() {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(FileLogger).asKeyedInterface<ILogger>('file')
+    builder.registerType(FileStorage).asKeyedInterface<IStorage>('file')
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveTypeKeyed<ILogger>('file')).toBeInstanceOf(FileLogger)
+    expect(app.resolveTypeKeyed<IStorage>('file')).toBeInstanceOf(FileStorage)
+  })
+
+  it('should scope keys and names per token', () => {
+    // Arrange
+    const loggerToken = Token<object>('ILogger')
+    const storageToken = Token<object>('IStorage')
+    const fileLogger = { kind: 'logger' }
+    const fileStorage = { kind: 'storage' }
+
+    const builder = container.builder()
+    builder.registerInstance(fileLogger).as(loggerToken).keyed('file')
+    builder.registerInstance(fileStorage).as(storageToken).keyed('file')
+    builder.registerInstance(fileLogger).as(loggerToken).named('primary')
+    builder.registerInstance(fileStorage).as(storageToken).named('primary')
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveKeyed('file', loggerToken)).toBe(fileLogger)
+    expect(app.resolveKeyed('file', storageToken)).toBe(fileStorage)
+    expect(app.resolveNamed('primary', storageToken)).toBe(fileStorage)
+  })
+
+  it('should reject an ambiguous key without a service token', () => {
+    // Arrange
+    const loggerToken = Token<object>('ILogger')
+    const storageToken = Token<object>('IStorage')
+
+    const builder = container.builder()
+    builder.registerInstance({}).as(loggerToken).keyed('file')
+    builder.registerInstance({}).as(storageToken).keyed('file')
+    const app = builder.build()
+
+    // Act & Assert
+    expect(() => app.resolveKeyed('file')).toThrow(
+      'Keyed service "file" is registered for several service types: Token<ILogger>, Token<IStorage>'
+    )
+  })
+
+  it('should name the type a key is registered for when resolved for another type', () => {
+    // Arrange
+    interface ILogger {}
+    interface ICache {}
+    class FileLogger implements ILogger {}
+
+    const builder = container.builder()
+    builder.registerType(FileLogger).asKeyedInterface<ILogger>('file')
+    const app = builder.build()
+
+    // Act & Assert
+    expect(() => app.resolveTypeKeyed<ICache>('file')).toThrow(
+      'Keyed service "file" not found for Token<ICache>. It is registered for Token<ILogger>'
+    )
+  })
+
+  it('should register keys under every implemented interface', () => {
+    // Arrange
+    const readerToken = Token<object>('IReader')
+    const writerToken = Token<object>('IWriter')
+    const store = {}
+
+    const builder = container.builder()
+    builder.registerInstance(store).asImplementedInterfaces([readerToken, writerToken]).keyed('s3')
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveKeyed('s3', readerToken)).toBe(store)
+    expect(app.resolveKeyed('s3', writerToken)).toBe(store)
+  })
+})
+
+describe('Interface Registry - Optional Resolution', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should check and resolve optional interface types', () => {
+    // Arrange
+    interface IAnalytics {
+      track(event: string): void
+    }
+    interface IFeatureFlags {
+      isEnabled(flag: string): boolean
+    }
+    class Analytics implements IAnalytics {
+      track() {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(Analytics).as<IAnalytics>()
+    const app = builder.build()
+    const scope = app.beginLifetimeScope()
+
+    // Act & Assert
+    expect(app.isRegisteredType<IAnalytics>()).toBe(true)
+    expect(app.isRegisteredType<IFeatureFlags>()).toBe(false)
+    expect(scope.resolveTypeOptional<IAnalytics>()).toBeInstanceOf(Analytics)
+    expect(scope.resolveTypeOptional<IFeatureFlags>()).toBeUndefined()
+  })
+})
+
 describe('Interface Registry - Default Implementations', () => {
   let container: Container
 
@@ -526,6 +658,289 @@ describe('Interface Registry - Conditional Registration', () => {
   })
 })
 
+describe('Interface Registry - Build-time Conditions', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should skip onlyIf() registrations whose predicate fails', () => {
+    // Arrange
+    interface ICache {
+      kind: string
+    }
+    class RedisCache implements ICache {
+      kind = 'redis'
+    }
+    class MemoryCache implements ICache {
+      kind = 'memory'
+    }
+
+    const builder = container.builder()
+    builder.registerType(RedisCache).as<ICache>()
+    builder.registerType(MemoryCache).as<ICache>()
+      .onlyIf(registrations => !registrations.isRegisteredType<ICache>())
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<ICache>()).toBeInstanceOf(RedisCache)
+    expect(app.resolveTypeAll<ICache>()).toHaveLength(1)
+  })
+
+  it('should evaluate onlyIf() against the registrations made before it', () => {
+    // Arrange
+    interface IMailer {
+      kind: string
+    }
+    const environment = { production: false }
+
+    const builder = container.builder()
+    builder.register(() => ({ kind: 'smtp' })).as<IMailer>().onlyIf(() => environment.production)
+    builder.register(() => ({ kind: 'console' })).as<IMailer>()
+      .onlyIf(registrations => !registrations.isRegisteredType<IMailer>())
+
+    // Act
+    const development = builder.build()
+    environment.production = true
+    const production = builder.build()
+
+    // Assert
+    expect(development.resolveType<IMailer>().kind).toBe('console')
+    expect(production.resolveType<IMailer>().kind).toBe('smtp')
+  })
+
+  it('should only check this builder in ifNotRegistered(), and the parent chain in onlyIf()', () => {
+    // Arrange
+    const clockToken = Token<string>('IClock')
+    const parentBuilder = container.builder()
+    parentBuilder.registerInstance('system').as(clockToken)
+    const parent = parentBuilder.build()
+
+    const childBuilder = parent.builder()
+    childBuilder.registerInstance('fake').as(clockToken).ifNotRegistered()
+
+    const guardedBuilder = parent.builder()
+    guardedBuilder.registerInstance('fake').as(clockToken)
+      .onlyIf(registrations => !registrations.isRegistered(clockToken))
+
+    // Act
+    const child = childBuilder.build()
+    const guarded = guardedBuilder.build()
+
+    // Assert
+    expect(child.resolve(clockToken)).toBe('fake')
+    expect(guarded.resolve(clockToken)).toBe('system')
+  })
+})
+
+describe('Interface Registry - Resolve-time Conditions', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should use a when() registration only while its predicate holds', async () => {
+    // Arrange
+    interface IMailer {
+      kind: string
+    }
+    const flags = { auditMail: false }
+
+    const builder = container.builder()
+    builder.register(() => ({ kind: 'console' })).as<IMailer>()
+    builder.register(() => ({ kind: 'audited' })).as<IMailer>().when(() => flags.auditMail)
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IMailer>().kind).toBe('console')
+    flags.auditMail = true
+    expect(app.resolveType<IMailer>().kind).toBe('audited')
+    expect((await app.resolveTypeAsync<IMailer>()).kind).toBe('audited')
+    expect(app.resolveTypeAll<IMailer>().map(m => m.kind)).toEqual(['console'])
+  })
+
+  it('should pass the resolution path to when() predicates', () => {
+    // Arrange
+    interface IClock {
+      kind: string
+    }
+    interface IScheduler {
+      clock: IClock
+    }
+    class Scheduler implements IScheduler {
+      constructor(public clock: IClock) {}
+    }
+    const paths: string[][] = []
+
+    const builder = container.builder()
+    builder.register(() => ({ kind: 'system' })).as<IClock>()
+    builder.register(() => ({ kind: 'scheduler' })).as<IClock>()
+      .when(ctx => {
+        paths.push(ctx.path)
+        return ctx.path.includes('Token<IScheduler>')
+      })
+    builder.registerType(Scheduler).as<IScheduler>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IScheduler>().clock.kind).toBe('scheduler')
+    expect(app.resolveType<IClock>().kind).toBe('system')
+    expect(paths).toEqual([['Token<IScheduler>'], []])
+  })
+
+  it('should keep the lifetime of the chosen registration', () => {
+    // Arrange
+    interface IConnection {
+      id: number
+    }
+    let created = 0
+    const flags = { replica: true }
+
+    const builder = container.builder()
+    builder.register(() => ({ id: ++created })).as<IConnection>().instancePerDependency()
+    builder.register(() => ({ id: ++created })).as<IConnection>().when(() => flags.replica).singleInstance()
+    const app = builder.build()
+
+    // Act
+    const replica = app.resolveType<IConnection>()
+    flags.replica = false
+
+    // Assert
+    expect(app.resolveType<IConnection>()).not.toBe(app.resolveType<IConnection>())
+    flags.replica = true
+    expect(app.resolveType<IConnection>()).toBe(replica)
+    expect(app.verify().valid).toBe(true)
+  })
+
+  it('should throw when no registration applies', () => {
+    // Arrange
+    interface IMailer {
+      kind: string
+    }
+
+    const builder = container.builder()
+    builder.register(() => ({ kind: 'audited' })).as<IMailer>().when(() => false)
+    const app = builder.build()
+
+    // Act & Assert
+    expect(() => app.resolveType<IMailer>()).toThrow('No registration of Token<IMailer> applies')
+  })
+})
+
+describe('Interface Registry - Contextual Bindings', () => {
+  let container: Container
+
+  interface ILogger {
+    kind: string
+  }
+  interface IAnalyticsService {
+    logger: ILogger
+  }
+  interface IReportService {
+    logger: ILogger
+  }
+  class ConsoleLogger implements ILogger {
+    kind = 'console'
+  }
+  class SlowQueryLogger implements ILogger {
+    kind = 'slow-query'
+  }
+  class AnalyticsService implements IAnalyticsService {
+    constructor(public logger: ILogger) {}
+  }
+  class ReportService implements IReportService {
+    constructor(public logger: ILogger) {}
+  }
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should inject a whenInjectedInto() registration only into the given consumers', async () => {
+    // Arrange
+    const builder = container.builder()
+    builder.registerType(ConsoleLogger).as<ILogger>()
+    builder.registerType(SlowQueryLogger).as<ILogger>().whenInjectedInto(AnalyticsService)
+    builder.registerType(AnalyticsService).as<IAnalyticsService>()
+    builder.registerType(ReportService).as<IReportService>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<IAnalyticsService>().logger).toBeInstanceOf(SlowQueryLogger)
+    expect((await app.resolveTypeAsync<IAnalyticsService>()).logger).toBeInstanceOf(SlowQueryLogger)
+    expect(app.resolveType<IReportService>().logger).toBeInstanceOf(ConsoleLogger)
+    expect(app.resolveType<ILogger>()).toBeInstanceOf(ConsoleLogger)
+    expect(app.verify().valid).toBe(true)
+  })
+
+  it('should fall back to the parent registration when no condition holds', async () => {
+    // Arrange
+    const parentBuilder = container.builder()
+    parentBuilder.registerType(ConsoleLogger).as<ILogger>()
+    const parent = parentBuilder.build()
+
+    const childBuilder = parent.builder()
+    childBuilder.registerType(SlowQueryLogger).as<ILogger>().whenInjectedInto(AnalyticsService)
+    childBuilder.registerType(AnalyticsService).as<IAnalyticsService>()
+    childBuilder.registerType(ReportService).as<IReportService>()
+    const child = childBuilder.build()
+
+    // Act
+    const report = child.resolveType<IReportService>()
+
+    // Assert - the parent's singleton, also from a lifetime scope of the child
+    expect(report.logger).toBe(parent.resolveType<ILogger>())
+    expect((await child.resolveTypeAsync<IReportService>()).logger).toBe(report.logger)
+    expect(child.resolveType<IAnalyticsService>().logger).toBeInstanceOf(SlowQueryLogger)
+    expect(child.beginLifetimeScope().resolveType<ILogger>()).toBe(report.logger)
+    expect(child.verify().valid).toBe(true)
+  })
+
+  it('should expose the consumer to when() predicates', () => {
+    // Arrange
+    const consumers: unknown[] = []
+
+    const builder = container.builder()
+    builder.registerType(ConsoleLogger).as<ILogger>()
+    builder.registerType(SlowQueryLogger).as<ILogger>()
+      .when(ctx => {
+        consumers.push(ctx.consumer)
+        return ctx.consumer === ReportService
+      })
+    builder.registerType(ReportService).as<IReportService>().instancePerDependency()
+    const app = builder.build()
+
+    // Act
+    const report = app.resolveType<IReportService>()
+    const logger = app.resolveType<ILogger>()
+
+    // Assert
+    expect(report.logger).toBeInstanceOf(SlowQueryLogger)
+    expect(logger).toBeInstanceOf(ConsoleLogger)
+    expect(consumers).toEqual([ReportService, undefined])
+  })
+
+  it('should identify consumers registered under several interfaces', () => {
+    // Arrange
+    const reportToken = Token<IReportService>('IReportService')
+    const exportToken = Token<IReportService>('IExportService')
+
+    const builder = container.builder()
+    builder.registerType(ConsoleLogger).as<ILogger>()
+    builder.registerType(SlowQueryLogger).as<ILogger>().whenInjectedInto(ReportService)
+    builder
+      .registerType(ReportService)
+      .asImplementedInterfaces([reportToken, exportToken])
+      .autoWire({ map: { logger: c => c.resolveType<ILogger>() } })
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolve(exportToken).logger).toBeInstanceOf(SlowQueryLogger)
+  })
+})
+
 describe('Interface Registry - Resolve All', () => {
   let container: Container
 
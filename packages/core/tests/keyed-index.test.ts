@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import type { KeyedIndex } from '../src/keyed-index'
+
+describe('Keyed Index - Container', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should map every key of a service type with resolveKeyedIndex()', () => {
+    // Arrange
+    const exporterToken = Token<{ format: string }>('IExporter')
+    const loggerToken = Token<object>('ILogger')
+
+    const builder = container.builder()
+    builder.register(() => ({ format: 'csv' })).as(exporterToken).keyed('csv')
+    builder.register(() => ({ format: 'pdf' })).as(exporterToken).keyed('pdf')
+    builder.register(() => ({})).as(loggerToken).keyed('csv')
+    const app = builder.build()
+
+    // Act
+    const exporters = app.resolveKeyedIndex(exporterToken)
+
+    // Assert
+    expect(exporters.size).toBe(2)
+    expect([...exporters.keys()]).toEqual(['csv', 'pdf'])
+    expect(exporters.get('pdf')?.format).toBe('pdf')
+    expect(exporters.has('xlsx')).toBe(false)
+    expect(exporters.get('xlsx')).toBeUndefined()
+    expect([...exporters].map(([key, exporter]) => `${String(key)}:${exporter.format}`)).toEqual(['csv:csv', 'pdf:pdf'])
+  })
+
+  it('should only resolve implementations when their key is accessed', () => {
+    // Arrange
+    const created: string[] = []
+    const exporterToken = Token<string>('IExporter')
+
+    const builder = container.builder()
+    builder.register(() => (created.push('csv'), 'csv')).as(exporterToken).keyed('csv')
+    builder.register(() => (created.push('pdf'), 'pdf')).as(exporterToken).keyed('pdf')
+    const app = builder.build()
+
+    // Act
+    const exporters = app.resolveKeyedIndex(exporterToken)
+    exporters.get('pdf')
+
+    // Assert
+    expect(created).toEqual(['pdf'])
+  })
+
+  it('should include keys inherited from the parent with child overrides', () => {
+    // Arrange
+    const exporterToken = Token<string>('IExporter')
+
+    const parentBuilder = container.builder()
+    parentBuilder.register(() => 'parent csv').as(exporterToken).keyed('csv')
+    parentBuilder.register(() => 'parent pdf').as(exporterToken).keyed('pdf')
+    const parent = parentBuilder.build()
+
+    const childBuilder = parent.builder()
+    childBuilder.register(() => 'child csv').as(exporterToken).keyed('csv')
+    childBuilder.register(() => 'child xml').as(exporterToken).keyed('xml')
+    const child = childBuilder.build()
+
+    // Act & Assert
+    expect([...child.resolveKeyedIndex(exporterToken).entries()]).toEqual([
+      ['csv', 'child csv'],
+      ['pdf', 'parent pdf'],
+      ['xml', 'child xml']
+    ])
+  })
+
+  it('should return an empty index when nothing is keyed', () => {
+    // Act
+    const index = container.resolveKeyedIndex(Token<object>('IExporter'))
+
+    // Assert
+    expect(index.size).toBe(0)
+    expect([...index.values()]).toEqual([])
+  })
+})
+
+describe('Keyed Index - Interface-based API', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should map keyed interface implementations with resolveTypeKeyedAll()', () => {
+    // Arrange
+    interface IPaymentProvider {
+      charge(amount: number): string
+    }
+    class StripeProvider implements IPaymentProvider {
+      charge(amount: number) {
+        return `stripe:${amount}`
+      }
+    }
+    class PaypalProvider implements IPaymentProvider {
+      charge(amount: number) {
+        return `paypal:${amount}`
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(StripeProvider).asKeyedInterface<IPaymentProvider>('stripe')
+    builder.registerType(PaypalProvider).asKeyedInterface<IPaymentProvider>('paypal')
+    const app = builder.build()
+
+    // Act
+    const providers = app.resolveTypeKeyedAll<IPaymentProvider>()
+
+    // Assert
+    expect([...providers.keys()]).toEqual(['stripe', 'paypal'])
+    expect(providers.get('paypal')?.charge(10)).toBe('paypal:10')
+  })
+
+  it('should autowire KeyedIndex<T> constructor parameters', async () => {
+    // Arrange
+    interface IPaymentProvider {
+      charge(amount: number): string
+    }
+    interface ICheckoutService {
+      pay(method: string, amount: number): string
+    }
+    class StripeProvider implements IPaymentProvider {
+      charge(amount: number) {
+        return `stripe:${amount}`
+      }
+    }
+    class PaypalProvider implements IPaymentProvider {
+      charge(amount: number) {
+        return `paypal:${amount}`
+      }
+    }
+    class CheckoutService implements ICheckoutService {
+      constructor(private providers: KeyedIndex<IPaymentProvider>) {}
+      pay(method: string, amount: number) {
+        return this.providers.get(method)!.charge(amount)
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(StripeProvider).asKeyedInterface<IPaymentProvider>('stripe')
+    builder.registerType(PaypalProvider).asKeyedInterface<IPaymentProvider>('paypal')
+    builder.registerType(CheckoutService).as<ICheckoutService>()
+    const app = builder.build()
+
+    // Act & Assert
+    expect(app.resolveType<ICheckoutService>().pay('stripe', 5)).toBe('stripe:5')
+    expect((await app.resolveTypeAsync<ICheckoutService>()).pay('paypal', 7)).toBe('paypal:7')
+    expect(app.verify().valid).toBe(true)
+  })
+})
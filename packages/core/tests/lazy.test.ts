@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { createLazy } from '../src/lazy'
+import type { Lazy } from '../src/lazy'
+
+describe('Lazy - Value', () => {
+  it('should resolve on first access and cache the value', () => {
+    // Arrange
+    let calls = 0
+    const lazy = createLazy(() => ({ id: ++calls }))
+
+    // Act & Assert
+    expect(lazy.isValueCreated).toBe(false)
+    expect(calls).toBe(0)
+    expect(lazy.value.id).toBe(1)
+    expect(lazy.value).toBe(lazy.value)
+    expect(lazy.isValueCreated).toBe(true)
+    expect(calls).toBe(1)
+  })
+})
+
+describe('Lazy - Interface-based API', () => {
+  let container: Container
+
+  interface IReportEngine {
+    render(id: string): string
+  }
+  class ReportEngine implements IReportEngine {
+    static created = 0
+    constructor() {
+      ReportEngine.created++
+    }
+    render(id: string) {
+      return `report:${id}`
+    }
+  }
+
+  beforeEach(() => {
+    container = new Container()
+    ReportEngine.created = 0
+  })
+
+  it('should defer Lazy<T> constructor parameters until first access', async () => {
+    // Arrange
+    interface IReportController {
+      engine: Lazy<IReportEngine>
+    }
+    class ReportController implements IReportController {
+      constructor(public engine: Lazy<IReportEngine>) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(ReportEngine).as<IReportEngine>().instancePerDependency()
+    builder.registerType(ReportController).as<IReportController>().instancePerDependency()
+    const app = builder.build()
+
+    // Act
+    const controller = app.resolveType<IReportController>()
+    const asyncController = await app.resolveTypeAsync<IReportController>()
+
+    // Assert
+    expect(ReportEngine.created).toBe(0)
+    expect(controller.engine.value.render('q3')).toBe('report:q3')
+    expect(controller.engine.value).toBe(controller.engine.value)
+    expect(asyncController.engine.value).toBeInstanceOf(ReportEngine)
+    expect(ReportEngine.created).toBe(2)
+  })
+
+  it('should resolve again on every call of () => T parameters', () => {
+    // Arrange
+    interface IReportScheduler {
+      run(): IReportEngine[]
+    }
+    class ReportScheduler implements IReportScheduler {
+      constructor(private createEngine: () => IReportEngine) {}
+      run() {
+        return [this.createEngine(), this.createEngine()]
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(ReportEngine).as<IReportEngine>().instancePerDependency()
+    builder.registerType(ReportScheduler).as<IReportScheduler>()
+    const app = builder.build()
+
+    // Act
+    const scheduler = app.resolveType<IReportScheduler>()
+
+    // Assert
+    expect(ReportEngine.created).toBe(0)
+    const [first, second] = scheduler.run()
+    expect(first).toBeInstanceOf(ReportEngine)
+    expect(second).not.toBe(first)
+  })
+
+  it('should start a new resolve on every deferred access, also after resolveTypeAsync()', async () => {
+    // Arrange
+    interface IWork {
+      id: number
+    }
+    interface IJob {
+      work: IWork
+      lazyWork: Lazy<IWork>
+      makeWork: () => IWork
+    }
+    class Job implements IJob {
+      constructor(public work: IWork, public lazyWork: Lazy<IWork>, public makeWork: () => IWork) {}
+    }
+
+    let created = 0
+    const builder = container.builder()
+    builder.register(() => ({ id: ++created })).as<IWork>().instancePerRequest()
+    builder.registerType(Job).as<IJob>().instancePerDependency()
+    const app = builder.build()
+
+    // Act
+    const job = await app.resolveTypeAsync<IJob>()
+
+    // Assert - the finished resolve's per-request instance is not reused
+    expect(job.lazyWork.value).not.toBe(job.work)
+    expect(job.makeWork().id).not.toBe(job.makeWork().id)
+    expect(job.lazyWork.value).toBe(job.lazyWork.value)
+  })
+
+  it('should break circular dependencies', () => {
+    // Arrange
+    interface IOrderService {
+      customers: Lazy<ICustomerService>
+    }
+    interface ICustomerService {
+      orders: IOrderService
+    }
+    class OrderService implements IOrderService {
+      constructor(public customers: Lazy<ICustomerService>) {}
+    }
+    class CustomerService implements ICustomerService {
+      constructor(public orders: IOrderService) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(OrderService).as<IOrderService>()
+    builder.registerType(CustomerService).as<ICustomerService>()
+    const app = builder.build()
+
+    // Act
+    const orders = app.resolveType<IOrderService>()
+
+    // Assert
+    expect(orders.customers.value.orders).toBe(orders)
+    expect(app.verify().valid).toBe(true)
+  })
+})
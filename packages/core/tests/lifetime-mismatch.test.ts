@@ -0,0 +1,278 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import { ContainerVerificationError, LifetimeMismatchError } from '../src/errors'
+
+describe('Lifetime Mismatch - Container', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should report singletons depending on shorter lifetimes in verify()', () => {
+    // Arrange
+    class Service {}
+    const cacheToken = Token<Service>('ICache')
+    const requestToken = Token<Service>('IRequestContext')
+    const serviceToken = Token<Service>('IUserService')
+
+    container.bindClass(cacheToken, Service, { lifetime: 'singleton' })
+    container.bindClass(requestToken, Service, { lifetime: 'per-request' })
+    container.bindClass(serviceToken, Service, {
+      lifetime: 'singleton',
+      dependencies: [cacheToken, requestToken]
+    })
+
+    // Act
+    const result = container.verify()
+
+    // Assert - reported, but only invalid with strict lifetimes
+    expect(result.valid).toBe(true)
+    expect(result.lifetimeMismatches).toEqual([{
+      path: ['Token<IUserService>', 'Token<IRequestContext>'],
+      lifetimes: ['singleton', 'per-request']
+    }])
+  })
+
+  it('should make verify() invalid for lifetime mismatches with strict lifetimes', () => {
+    // Arrange
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    class Service {}
+    const transientToken = Token<Service>('IHttpClient')
+    const singletonToken = Token<Service>('IApiGateway')
+
+    container.bindClass(transientToken, Service, { lifetime: 'transient' })
+    container.bindClass(singletonToken, Service, { lifetime: 'singleton', dependencies: [transientToken] })
+
+    try {
+      // Act
+      container.enableStrictLifetimes('warn')
+
+      // Assert
+      expect(container.verify().valid).toBe(false)
+    } finally {
+      warn.mockRestore()
+    }
+  })
+
+  it('should throw LifetimeMismatchError when enabling strict lifetimes on a captive graph', () => {
+    // Arrange
+    class Service {}
+    const transientToken = Token<Service>('IHttpClient')
+    const singletonToken = Token<Service>('IApiGateway')
+
+    container.bindClass(transientToken, Service, { lifetime: 'transient' })
+    container.bindClass(singletonToken, Service, { lifetime: 'singleton', dependencies: [transientToken] })
+
+    // Act & Assert
+    expect(() => container.enableStrictLifetimes()).toThrow(LifetimeMismatchError)
+    expect(() => container.enableStrictLifetimes()).toThrow(
+      'Token<IApiGateway> (singleton) -> Token<IHttpClient> (transient)'
+    )
+  })
+
+  it('should detect captive dependencies of factories at resolve time', () => {
+    // Arrange
+    const requestToken = Token<object>('IRequestContext')
+    const auditToken = Token<object>('IAuditLog')
+    const controllerToken = Token<object>('Controller')
+
+    container.bindFactory(requestToken, () => ({}), { lifetime: 'per-request' })
+    container.bindFactory(auditToken, (c) => ({ request: c.resolve(requestToken) }), { lifetime: 'singleton' })
+    container.bindFactory(controllerToken, (c) => ({ audit: c.resolve(auditToken) }), { lifetime: 'transient' })
+    container.enableStrictLifetimes()
+
+    // Act
+    const error = (() => {
+      try {
+        container.resolve(controllerToken)
+      } catch (e) {
+        return e
+      }
+    })() as LifetimeMismatchError
+
+    // Assert - full chain from the resolved service
+    expect(error).toBeInstanceOf(LifetimeMismatchError)
+    expect(error.path).toEqual(['Token<Controller>', 'Token<IAuditLog>', 'Token<IRequestContext>'])
+    expect(error.lifetimes).toEqual(['transient', 'singleton', 'per-request'])
+    expect(error.message).toContain('singleton Token<IAuditLog> would hold on to per-request Token<IRequestContext>')
+  })
+
+  it('should detect zero-dependency transients captured at resolve time', async () => {
+    // Arrange
+    class Connection {}
+    const connectionToken = Token<Connection>('Connection')
+    const poolToken = Token<object>('Pool')
+
+    container.bindClass(connectionToken, Connection, { lifetime: 'transient' })
+    container.bindFactory(poolToken, (c) => ({ connection: c.resolve(connectionToken) }), { lifetime: 'singleton' })
+    container.enableStrictLifetimes()
+
+    // Act & Assert
+    expect(() => container.resolve(poolToken)).toThrow(LifetimeMismatchError)
+    await expect(container.resolveAsync(poolToken)).rejects.toThrow(LifetimeMismatchError)
+  })
+
+  it('should detect captive dependencies that are already cached', async () => {
+    // Arrange
+    const scopedToken = Token<object>('IUnitOfWork')
+    const requestToken = Token<object>('IRequestContext')
+    const repositoryToken = Token<object>('IRepository')
+    const auditToken = Token<object>('IAuditLog')
+    const controllerToken = Token<object>('Controller')
+
+    container.bindFactory(scopedToken, () => ({}), { lifetime: 'per-lifetime-scope' })
+    container.bindFactory(repositoryToken, (c) => ({ uow: c.resolve(scopedToken) }), { lifetime: 'singleton' })
+    container.bindFactory(requestToken, () => ({}), { lifetime: 'per-request' })
+    container.bindFactory(auditToken, (c) => ({ request: c.resolve(requestToken) }), { lifetime: 'singleton' })
+    container.bindFactory(controllerToken, (c) => ({
+      request: c.resolve(requestToken),
+      audit: c.resolve(auditToken)
+    }), { lifetime: 'transient' })
+    container.enableStrictLifetimes()
+
+    // Act - the shorter-lived instances are resolved before the singletons
+    container.resolve(scopedToken)
+
+    // Assert
+    expect(() => container.resolve(repositoryToken)).toThrow(LifetimeMismatchError)
+    await expect(container.resolveAsync(repositoryToken)).rejects.toThrow(LifetimeMismatchError)
+    expect(() => container.resolve(controllerToken)).toThrow(
+      'singleton Token<IAuditLog> would hold on to per-request Token<IRequestContext>'
+    )
+    await expect(container.resolveAsync(controllerToken)).rejects.toThrow(LifetimeMismatchError)
+  })
+
+  it('should only warn in warn mode', () => {
+    // Arrange
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const transientToken = Token<object>('IHttpClient')
+    const singletonToken = Token<{ client: object }>('IApiGateway')
+
+    container.bindFactory(transientToken, () => ({}), { lifetime: 'transient' })
+    container.bindFactory(singletonToken, (c) => ({ client: c.resolve(transientToken) }), { lifetime: 'singleton' })
+
+    try {
+      // Act
+      container.enableStrictLifetimes('warn')
+      const gateway = container.resolve(singletonToken)
+
+      // Assert
+      expect(gateway.client).toBeDefined()
+      expect(warn).toHaveBeenCalledTimes(1)
+      expect(warn.mock.calls[0][0]).toContain('Lifetime mismatch')
+    } finally {
+      warn.mockRestore()
+    }
+  })
+
+  it('should allow non-singletons to depend on any lifetime', () => {
+    // Arrange
+    const singletonToken = Token<object>('IConfig')
+    const transientToken = Token<object>('IHandler')
+    const requestToken = Token<object>('IRequestHandler')
+
+    container.bindFactory(singletonToken, () => ({}), { lifetime: 'singleton' })
+    container.bindFactory(transientToken, (c) => ({ config: c.resolve(singletonToken) }), { lifetime: 'transient' })
+    container.bindFactory(requestToken, (c) => ({ handler: c.resolve(transientToken) }), { lifetime: 'per-request' })
+    container.enableStrictLifetimes()
+
+    // Act & Assert
+    expect(() => container.resolve(requestToken)).not.toThrow()
+  })
+
+  it('should apply strict lifetimes to lifetime scopes', () => {
+    // Arrange
+    const scopedToken = Token<object>('IUnitOfWork')
+    const singletonToken = Token<object>('IRepository')
+
+    container.bindFactory(scopedToken, () => ({}), { lifetime: 'per-lifetime-scope' })
+    container.bindFactory(singletonToken, (c) => ({ uow: c.resolve(scopedToken) }), { lifetime: 'singleton' })
+    container.enableStrictLifetimes()
+
+    // Act & Assert
+    const scope = container.beginLifetimeScope()
+    expect(() => scope.resolve(singletonToken)).toThrow(LifetimeMismatchError)
+  })
+})
+
+describe('Lifetime Mismatch - Builder', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should throw at build time with lifetimeCheck: throw', () => {
+    // Arrange
+    interface IClock {
+      now(): number
+    }
+    interface IScheduler {}
+    class Clock implements IClock {
+      now() {
+        return 1
+      }
+    }
+    class Scheduler implements IScheduler {
+      constructor(public clock: IClock) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(Clock).as<IClock>().instancePerDependency()
+    builder.registerType(Scheduler).as<IScheduler>().singleInstance()
+
+    // Act & Assert
+    expect(() => builder.build({ lifetimeCheck: 'throw' })).toThrow(LifetimeMismatchError)
+    expect(() => builder.build({ lifetimeCheck: 'throw' })).toThrow(
+      'Token<IScheduler> (singleton) -> Token<IClock> (transient)'
+    )
+  })
+
+  it('should list lifetime mismatches in build({ validate: true }) with lifetimeCheck', () => {
+    // Arrange
+    interface IRequestContext {}
+    interface IAuditLog {}
+    class RequestContext implements IRequestContext {}
+    class AuditLog implements IAuditLog {
+      constructor(public request: IRequestContext) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(RequestContext).as<IRequestContext>().instancePerRequest()
+    builder.registerType(AuditLog).as<IAuditLog>()
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      // Act & Assert
+      expect(() => builder.build({ validate: true })).not.toThrow()
+      expect(() => builder.build({ validate: true, lifetimeCheck: 'warn' })).toThrow(ContainerVerificationError)
+      expect(() => builder.build({ validate: true, lifetimeCheck: 'warn' })).toThrow(
+        'Lifetime mismatch: Token<IAuditLog> (singleton) -> Token<IRequestContext> (per-request)'
+      )
+    } finally {
+      warn.mockRestore()
+    }
+  })
+
+  it('should build valid graphs with lifetimeCheck enabled', () => {
+    // Arrange
+    interface IClock {}
+    interface IScheduler {
+      clock: IClock
+    }
+    class Clock implements IClock {}
+    class Scheduler implements IScheduler {
+      constructor(public clock: IClock) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(Clock).as<IClock>().singleInstance()
+    builder.registerType(Scheduler).as<IScheduler>().instancePerDependency()
+    const app = builder.build({ lifetimeCheck: 'throw' })
+
+    // Act & Assert
+    expect(app.resolveType<IScheduler>().clock).toBeInstanceOf(Clock)
+  })
+})
@@ -0,0 +1,316 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import { ContainerError, MatchingScopeNotFoundError } from '../src/errors'
+
+describe('Lifetime Scopes - beginLifetimeScope()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should share per-lifetime-scope instances across resolves in the same scope', () => {
+    // Arrange
+    interface IUnitOfWork {
+      id: number
+    }
+    const token = Token<IUnitOfWork>('IUnitOfWork')
+    let created = 0
+
+    container.bindFactory(token, () => ({ id: ++created }), { lifetime: 'per-lifetime-scope' })
+
+    // Act
+    const scope = container.beginLifetimeScope()
+    const first = scope.resolve(token)
+    const second = scope.resolve(token)
+
+    // Assert
+    expect(first).toBe(second)
+    expect(created).toBe(1)
+  })
+
+  it('should create separate instances for separate scopes', () => {
+    // Arrange
+    const token = Token<{ id: number }>('IUnitOfWork')
+    let created = 0
+
+    container.bindFactory(token, () => ({ id: ++created }), { lifetime: 'per-lifetime-scope' })
+
+    // Act
+    const scope1 = container.beginLifetimeScope()
+    const scope2 = container.beginLifetimeScope()
+
+    // Assert
+    expect(scope1.resolve(token)).not.toBe(scope2.resolve(token))
+    expect(created).toBe(2)
+  })
+
+  it('should share the scoped instance between dependencies of one scope', () => {
+    // Arrange
+    interface IUnitOfWork {
+      id: number
+    }
+    class OrderRepository {
+      constructor(public uow: IUnitOfWork) {}
+    }
+    class CustomerRepository {
+      constructor(public uow: IUnitOfWork) {}
+    }
+
+    const uowToken = Token<IUnitOfWork>('IUnitOfWork')
+    const ordersToken = Token<OrderRepository>('OrderRepository')
+    const customersToken = Token<CustomerRepository>('CustomerRepository')
+
+    container.bindFactory(uowToken, () => ({ id: 1 }), { lifetime: 'per-lifetime-scope' })
+    container.bindFactory(ordersToken, (c) => new OrderRepository(c.resolve(uowToken)))
+    container.bindFactory(customersToken, (c) => new CustomerRepository(c.resolve(uowToken)))
+
+    // Act
+    const scope = container.beginLifetimeScope()
+    const orders = scope.resolve(ordersToken)
+    const customers = scope.resolve(customersToken)
+
+    // Assert - per-request would give separate instances here
+    expect(orders.uow).toBe(customers.uow)
+  })
+
+  it('should keep singletons owned by the container the scope started from', () => {
+    // Arrange
+    const token = Token<{ id: number }>('IConfig')
+    let created = 0
+
+    container.bindFactory(token, () => ({ id: ++created }), { lifetime: 'singleton' })
+
+    // Act
+    const scope1 = container.beginLifetimeScope()
+    const scope2 = container.beginLifetimeScope()
+
+    // Assert
+    expect(scope1.resolve(token)).toBe(container.resolve(token))
+    expect(scope2.resolve(token)).toBe(container.resolve(token))
+    expect(created).toBe(1)
+  })
+
+  it('should give nested scopes their own scoped instances', () => {
+    // Arrange
+    const token = Token<{ id: number }>('IUnitOfWork')
+    let created = 0
+
+    container.bindFactory(token, () => ({ id: ++created }), { lifetime: 'per-lifetime-scope' })
+
+    // Act
+    const outer = container.beginLifetimeScope()
+    const inner = outer.beginLifetimeScope()
+
+    // Assert
+    expect(inner.resolve(token)).not.toBe(outer.resolve(token))
+    expect(inner.resolve(token)).toBe(inner.resolve(token))
+  })
+
+  it('should dispose scoped instances when the scope is disposed', async () => {
+    // Arrange
+    class DbTransaction {
+      disposed = false
+      dispose() {
+        this.disposed = true
+      }
+    }
+    const scopedToken = Token<DbTransaction>('DbTransaction')
+    const singletonToken = Token<DbTransaction>('DbPool')
+
+    container.bindFactory(scopedToken, () => new DbTransaction(), { lifetime: 'per-lifetime-scope' })
+    container.bindFactory(singletonToken, () => new DbTransaction(), { lifetime: 'singleton' })
+
+    const scope = container.beginLifetimeScope()
+    const transaction = scope.resolve(scopedToken)
+    const pool = scope.resolve(singletonToken)
+
+    // Act
+    await scope.dispose()
+
+    // Assert
+    expect(transaction.disposed).toBe(true)
+    expect(pool.disposed).toBe(false) // Owned by the root container
+  })
+
+  it('should support instancePerLifetimeScope() in the builder', () => {
+    // Arrange
+    interface IUnitOfWork {
+      commit(): void
+    }
+    class UnitOfWork implements IUnitOfWork {
+      commit() {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(UnitOfWork).as<IUnitOfWork>().instancePerLifetimeScope()
+    const app = builder.build()
+
+    // Act
+    const scope = app.beginLifetimeScope()
+    const uow1 = scope.resolveType<IUnitOfWork>()
+    const uow2 = scope.resolveType<IUnitOfWork>()
+    const other = app.beginLifetimeScope().resolveType<IUnitOfWork>()
+
+    // Assert
+    expect(uow1).toBeInstanceOf(UnitOfWork)
+    expect(uow1).toBe(uow2)
+    expect(uow1).not.toBe(other)
+  })
+
+  it('should resolve scoped instances asynchronously', async () => {
+    // Arrange
+    const token = Token<{ id: number }>('IUnitOfWork')
+    let created = 0
+
+    container.bindFactory(token, async () => ({ id: ++created }), { lifetime: 'per-lifetime-scope' })
+
+    // Act
+    const scope = container.beginLifetimeScope()
+    const first = await scope.resolveAsync(token)
+    const second = await scope.resolveAsync(token)
+
+    // Assert
+    expect(first).toBe(second)
+    expect(created).toBe(1)
+  })
+})
+
+describe('Lifetime Scopes - Tagged Scopes', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should share matching-scope instances with nested scopes', () => {
+    // Arrange
+    const token = Token<{ id: number }>('ITransaction')
+    let created = 0
+
+    container.bindFactory(token, () => ({ id: ++created }), {
+      lifetime: 'per-matching-lifetime-scope',
+      scopeTag: 'request'
+    })
+
+    // Act
+    const request = container.beginLifetimeScope('request')
+    const transaction = request.beginLifetimeScope('transaction')
+    const operation = transaction.beginLifetimeScope()
+
+    // Assert
+    expect(operation.resolve(token)).toBe(request.resolve(token))
+    expect(transaction.resolve(token)).toBe(request.resolve(token))
+    expect(created).toBe(1)
+  })
+
+  it('should use the nearest scope with a matching tag', () => {
+    // Arrange
+    const token = Token<{ id: number }>('IJobState')
+    let created = 0
+
+    container.bindFactory(token, () => ({ id: ++created }), {
+      lifetime: 'per-matching-lifetime-scope',
+      scopeTag: 'job'
+    })
+
+    // Act
+    const outerJob = container.beginLifetimeScope('job')
+    const innerJob = outerJob.beginLifetimeScope('job')
+
+    // Assert
+    expect(innerJob.resolve(token)).not.toBe(outerJob.resolve(token))
+    expect(created).toBe(2)
+  })
+
+  it('should isolate instances between sibling tagged scopes', () => {
+    // Arrange
+    const token = Token<{ id: number }>('ITenantContext')
+
+    container.bindFactory(token, () => ({ id: Math.random() }), {
+      lifetime: 'per-matching-lifetime-scope',
+      scopeTag: 'tenant'
+    })
+
+    // Act
+    const tenantA = container.beginLifetimeScope('tenant')
+    const tenantB = container.beginLifetimeScope('tenant')
+
+    // Assert
+    expect(tenantA.resolve(token)).not.toBe(tenantB.resolve(token))
+  })
+
+  it('should throw MatchingScopeNotFoundError outside a matching scope', () => {
+    // Arrange
+    class Consumer {
+      constructor(public transaction: unknown) {}
+    }
+    const transactionToken = Token<object>('ITransaction')
+    const consumerToken = Token<Consumer>('Consumer')
+
+    container.bindFactory(transactionToken, () => ({}), {
+      lifetime: 'per-matching-lifetime-scope',
+      scopeTag: 'request'
+    })
+    container.bindFactory(consumerToken, (c) => new Consumer(c.resolve(transactionToken)))
+
+    const jobScope = container.beginLifetimeScope('job')
+
+    // Act & Assert
+    expect(() => container.resolve(transactionToken)).toThrow(MatchingScopeNotFoundError)
+    expect(() => jobScope.resolve(consumerToken)).toThrow(ContainerError)
+    expect(() => jobScope.resolve(consumerToken)).toThrow(/"request"/)
+    expect(() => jobScope.resolve(consumerToken)).toThrow(/Token<Consumer> -> Token<ITransaction>/)
+  })
+
+  it('should dispose matching-scope instances with the tagged scope', async () => {
+    // Arrange
+    class DbTransaction {
+      disposed = false
+      dispose() {
+        this.disposed = true
+      }
+    }
+    const token = Token<DbTransaction>('DbTransaction')
+
+    container.bindFactory(token, () => new DbTransaction(), {
+      lifetime: 'per-matching-lifetime-scope',
+      scopeTag: 'request'
+    })
+
+    const request = container.beginLifetimeScope('request')
+    const operation = request.beginLifetimeScope()
+    const transaction = operation.resolve(token)
+
+    // Act & Assert
+    await operation.dispose()
+    expect(transaction.disposed).toBe(false)
+
+    await request.dispose()
+    expect(transaction.disposed).toBe(true)
+  })
+
+  it('should support instancePerMatchingLifetimeScope() in the builder', () => {
+    // Arrange
+    interface ITransaction {
+      commit(): void
+    }
+    class DbTransaction implements ITransaction {
+      commit() {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(DbTransaction).as<ITransaction>().instancePerMatchingLifetimeScope('request')
+    const app = builder.build()
+
+    // Act
+    const request = app.beginLifetimeScope('request')
+    const operation = request.beginLifetimeScope('operation')
+
+    // Assert
+    expect(operation.resolveType<ITransaction>()).toBeInstanceOf(DbTransaction)
+    expect(operation.resolveType<ITransaction>()).toBe(request.resolveType<ITransaction>())
+    expect(() => app.resolveType<ITransaction>()).toThrow(MatchingScopeNotFoundError)
+  })
+})
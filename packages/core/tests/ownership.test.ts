@@ -0,0 +1,232 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+
+describe('Ownership - Disposal tracking', () => {
+  let container: Container
+  let disposed: string[]
+
+  class Connection {
+    constructor(public name = 'connection') {}
+    dispose() {
+      disposed.push(this.name)
+    }
+  }
+
+  beforeEach(() => {
+    container = new Container()
+    disposed = []
+  })
+
+  it('should dispose transient instances in reverse creation order', async () => {
+    // Arrange
+    let created = 0
+    const token = Token<Connection>('Connection')
+    container.bindFactory(token, () => new Connection(`connection-${++created}`))
+
+    container.resolve(token)
+    container.resolve(token)
+
+    // Act
+    await container.dispose()
+
+    // Assert
+    expect(disposed).toEqual(['connection-2', 'connection-1'])
+  })
+
+  it('should dispose zero-dependency transient classes', async () => {
+    // Arrange
+    const token = Token<Connection>('Connection')
+    container.bindClass(token, Connection, { lifetime: 'transient' })
+
+    container.resolve(token)
+
+    // Act
+    await container.dispose()
+
+    // Assert
+    expect(disposed).toEqual(['connection'])
+  })
+
+  it('should dispose per-request instances', async () => {
+    // Arrange
+    class Handler {
+      constructor(public first: Connection, public second: Connection) {}
+    }
+    const connectionToken = Token<Connection>('Connection')
+    const handlerToken = Token<Handler>('Handler')
+
+    container.bindFactory(connectionToken, () => new Connection(), { lifetime: 'per-request' })
+    container.bindFactory(handlerToken, (c) => new Handler(c.resolve(connectionToken), c.resolve(connectionToken)))
+
+    container.resolve(handlerToken)
+
+    // Act
+    await container.dispose()
+
+    // Assert - one instance per resolve tree, disposed once
+    expect(disposed).toEqual(['connection'])
+  })
+
+  it('should dispose transients resolved through a scope with the scope', async () => {
+    // Arrange
+    const token = Token<Connection>('Connection')
+    container.bindFactory(token, () => new Connection())
+
+    const scope = container.beginLifetimeScope()
+    scope.resolve(token)
+
+    // Act & Assert
+    await container.dispose()
+    expect(disposed).toEqual([])
+
+    await scope.dispose()
+    expect(disposed).toEqual(['connection'])
+  })
+
+  it('should not return disposed instances from later resolves', async () => {
+    // Arrange
+    const singletonToken = Token<Connection>('Connection')
+    const scopedToken = Token<Connection>('UnitOfWork')
+    container.bindFactory(singletonToken, () => new Connection(), { lifetime: 'singleton' })
+    container.bindFactory(scopedToken, () => new Connection('uow'), { lifetime: 'per-lifetime-scope' })
+
+    const scope = container.beginLifetimeScope()
+    const connection = container.resolve(singletonToken)
+    const uow = scope.resolve(scopedToken)
+    scope.resolve(scopedToken)
+
+    // Act
+    await scope.dispose()
+    await container.dispose()
+
+    // Assert - new instances are created
+    expect(container.resolve(singletonToken)).not.toBe(connection)
+    expect(scope.resolve(scopedToken)).not.toBe(uow)
+  })
+
+  it('should dispose bound values that were never resolved', async () => {
+    // Arrange
+    container.bindValue(Token<Connection>('Connection'), new Connection())
+
+    // Act
+    await container.dispose()
+
+    // Assert
+    expect(disposed).toEqual(['connection'])
+  })
+
+  it('should not dispose externally owned bindings', async () => {
+    // Arrange
+    const valueToken = Token<Connection>('SharedConnection')
+    const factoryToken = Token<Connection>('Connection')
+
+    container.bindValue(valueToken, new Connection('shared'), { externallyOwned: true })
+    container.bindFactory(factoryToken, () => new Connection(), { externallyOwned: true })
+
+    container.resolve(valueToken)
+    container.resolve(factoryToken)
+
+    // Act
+    await container.dispose()
+
+    // Assert
+    expect(disposed).toEqual([])
+  })
+})
+
+describe('Ownership - RegistrationBuilder', () => {
+  let container: Container
+  let disposed: string[]
+
+  beforeEach(() => {
+    container = new Container()
+    disposed = []
+  })
+
+  it('should dispose eagerly created singletons that were never resolved', async () => {
+    // Arrange
+    interface IConnection {}
+    class Connection implements IConnection {
+      dispose() {
+        disposed.push('connection')
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(Connection).as<IConnection>().singleInstance()
+    const app = builder.build()
+
+    // Act
+    await app.dispose()
+
+    // Assert
+    expect(disposed).toEqual(['connection'])
+  })
+
+  it('should dispose zero-dependency transients', async () => {
+    // Arrange
+    interface IConnection {}
+    class Connection implements IConnection {
+      dispose() {
+        disposed.push('connection')
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(Connection).as<IConnection>().instancePerDependency()
+    const app = builder.build()
+
+    app.resolveType<IConnection>()
+    app.resolveType<IConnection>()
+
+    // Act
+    await app.dispose()
+
+    // Assert
+    expect(disposed).toEqual(['connection', 'connection'])
+  })
+
+  it('should dispose instances registered under several interfaces once', async () => {
+    // Arrange
+    const readerToken = Token<object>('IReader')
+    const writerToken = Token<object>('IWriter')
+    const connection = { dispose: () => disposed.push('connection') }
+
+    const builder = container.builder()
+    builder.registerInstance(connection).asImplementedInterfaces([readerToken, writerToken])
+    const app = builder.build()
+
+    app.resolve(readerToken)
+    app.resolve(writerToken)
+
+    // Act
+    await app.dispose()
+
+    // Assert
+    expect(disposed).toEqual(['connection'])
+  })
+
+  it('should leave externallyOwned() instances to the caller', async () => {
+    // Arrange
+    const readerToken = Token<object>('IReader')
+    const writerToken = Token<object>('IWriter')
+    const connection = { dispose: () => disposed.push('connection') }
+
+    const builder = container.builder()
+    builder
+      .registerInstance(connection)
+      .asImplementedInterfaces([readerToken, writerToken])
+      .externallyOwned()
+    const app = builder.build()
+
+    app.resolve(readerToken)
+    app.resolve(writerToken)
+
+    // Act
+    await app.dispose()
+
+    // Assert
+    expect(disposed).toEqual([])
+  })
+})
@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container, type Startable } from '../src/container'
+import { Token } from '../src/token'
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Startup - Container.start()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should create auto-activated bindings and await onStart()', async () => {
+    // Arrange
+    class DbPool implements Startable {
+      connected = false
+      async onStart() {
+        await delay(1)
+        this.connected = true
+      }
+    }
+    const token = Token<DbPool>('DbPool')
+    let created = 0
+
+    container.bindFactory(token, () => {
+      created++
+      return new DbPool()
+    }, { lifetime: 'singleton', autoActivate: true })
+
+    // Act
+    await container.start()
+
+    // Assert
+    expect(created).toBe(1)
+    expect(container.resolve(token).connected).toBe(true)
+  })
+
+  it('should start dependencies before their dependents', async () => {
+    // Arrange
+    const log: string[] = []
+    class Service implements Startable {
+      constructor(public name: string) {}
+      async onStart() {
+        log.push(`${this.name}:start`)
+        await delay(1)
+        log.push(`${this.name}:ready`)
+      }
+    }
+    const poolToken = Token<Service>('DbPool')
+    const repositoryToken = Token<Service>('Repository')
+    const apiToken = Token<Service>('Api')
+
+    container.bindFactory(poolToken, () => new Service('pool'), { lifetime: 'singleton' })
+    container.bindFactory(repositoryToken, (c) => {
+      c.resolve(poolToken)
+      return new Service('repository')
+    }, { lifetime: 'singleton' })
+    container.bindFactory(apiToken, (c) => {
+      c.resolve(repositoryToken)
+      return new Service('api')
+    }, { lifetime: 'singleton', autoActivate: true })
+
+    // Act
+    await container.start()
+
+    // Assert
+    expect(log).toEqual([
+      'pool:start', 'pool:ready',
+      'repository:start', 'repository:ready',
+      'api:start', 'api:ready'
+    ])
+  })
+
+  it('should start independent branches in parallel', async () => {
+    // Arrange
+    const log: string[] = []
+    class Service implements Startable {
+      constructor(public name: string) {}
+      async onStart() {
+        log.push(`${this.name}:start`)
+        await delay(5)
+        log.push(`${this.name}:ready`)
+      }
+    }
+    const cacheToken = Token<Service>('Cache')
+    const queueToken = Token<Service>('Queue')
+    const appToken = Token<Service>('App')
+
+    container.bindFactory(cacheToken, () => new Service('cache'), { lifetime: 'singleton' })
+    container.bindFactory(queueToken, () => new Service('queue'), { lifetime: 'singleton' })
+    container.bindFactory(appToken, (c) => {
+      c.resolve(cacheToken)
+      c.resolve(queueToken)
+      return new Service('app')
+    }, { lifetime: 'singleton', autoActivate: true })
+
+    // Act
+    await container.start()
+
+    // Assert - both branches start before either is ready, the dependent waits for both
+    expect(log.slice(0, 2).sort()).toEqual(['cache:start', 'queue:start'])
+    expect(log.slice(2, 4).sort()).toEqual(['cache:ready', 'queue:ready'])
+    expect(log.slice(4)).toEqual(['app:start', 'app:ready'])
+  })
+
+  it('should order dependencies that were resolved before the dependent', async () => {
+    // Arrange
+    const log: string[] = []
+    class Service implements Startable {
+      constructor(public name: string) {}
+      async onStart() {
+        await delay(this.name === 'config' ? 5 : 0)
+        log.push(this.name)
+      }
+    }
+    const configToken = Token<Service>('Config')
+    const serverToken = Token<Service>('Server')
+
+    container.bindFactory(configToken, () => new Service('config'), { lifetime: 'singleton' })
+    container.bindFactory(serverToken, (c) => {
+      c.resolve(configToken)
+      return new Service('server')
+    }, { lifetime: 'singleton' })
+
+    container.resolve(configToken) // Cached before the server is created
+    container.resolve(serverToken)
+
+    // Act
+    await container.start()
+
+    // Assert
+    expect(log).toEqual(['config', 'server'])
+  })
+
+  it('should start each instance once', async () => {
+    // Arrange
+    let starts = 0
+    const token = Token<Startable>('Worker')
+    container.bindFactory(token, () => ({ onStart: () => { starts++ } }), {
+      lifetime: 'singleton',
+      autoActivate: true
+    })
+
+    // Act
+    await container.start()
+    await container.start()
+
+    // Assert
+    expect(starts).toBe(1)
+  })
+
+  it('should reject when onStart() fails', async () => {
+    // Arrange
+    const token = Token<Startable>('BrokenService')
+    container.bindFactory(token, () => ({
+      onStart: async () => {
+        throw new Error('Connection refused')
+      }
+    }), { lifetime: 'singleton', autoActivate: true })
+
+    // Act & Assert
+    await expect(container.start()).rejects.toThrow('Connection refused')
+  })
+
+  it('should support async factories for auto-activated bindings', async () => {
+    // Arrange
+    const token = Token<{ ready: boolean }>('IRemoteConfig')
+    container.bindFactory(token, async () => {
+      await delay(1)
+      return { ready: true }
+    }, { lifetime: 'singleton', autoActivate: true })
+
+    // Act
+    await container.start()
+
+    // Assert
+    expect(container.resolve(token).ready).toBe(true)
+  })
+})
+
+describe('Startup - RegistrationBuilder.autoActivate()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should start autowired registrations in dependency order', async () => {
+    // Arrange
+    const log: string[] = []
+    interface IDbPool {
+      query(): string
+    }
+    interface IUserCache {
+      users: string[]
+    }
+    class DbPool implements IDbPool, Startable {
+      async onStart() {
+        await delay(1)
+        log.push('pool')
+      }
+      query() {
+        return 'alice'
+      }
+    }
+    class UserCache implements IUserCache, Startable {
+      users: string[] = []
+      constructor(private pool: IDbPool) {}
+      async onStart() {
+        this.users.push(this.pool.query())
+        log.push('cache')
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(DbPool).as<IDbPool>()
+    builder.registerType(UserCache).as<IUserCache>().autoActivate()
+    const app = builder.build()
+
+    // Act
+    await app.start()
+
+    // Assert
+    expect(log).toEqual(['pool', 'cache'])
+    expect(app.resolveType<IUserCache>().users).toEqual(['alice'])
+  })
+
+  it('should create auto-activated instances without onStart()', async () => {
+    // Arrange
+    let created = 0
+    interface IMetrics {}
+    class Metrics implements IMetrics {
+      constructor() {
+        created++
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(Metrics).as<IMetrics>().instancePerDependency().autoActivate()
+    const app = builder.build()
+
+    // Act
+    await app.start()
+
+    // Assert
+    expect(created).toBe(1)
+  })
+})
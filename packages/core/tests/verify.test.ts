@@ -0,0 +1,285 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Container } from '../src/container'
+import { Token } from '../src/token'
+import { ContainerVerificationError } from '../src/errors'
+
+describe('Verification - Container.verify()', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should report a valid graph without creating instances', () => {
+    // Arrange
+    let created = 0
+    class Logger {
+      constructor() {
+        created++
+      }
+    }
+    class UserService {
+      constructor(public logger: Logger) {
+        created++
+      }
+    }
+    const loggerToken = Token<Logger>('Logger')
+    const serviceToken = Token<UserService>('UserService')
+
+    container.bindClass(loggerToken, Logger)
+    container.bindClass(serviceToken, UserService, { dependencies: [loggerToken] })
+
+    // Act
+    const result = container.verify()
+
+    // Assert
+    expect(result).toEqual({ valid: true, missing: [], cycles: [], ambiguous: [], lifetimeMismatches: [] })
+    expect(created).toBe(0)
+  })
+
+  it('should report every missing dependency with its path', () => {
+    // Arrange
+    class Service {}
+    const loggerToken = Token<object>('ILogger')
+    const cacheToken = Token<object>('ICache')
+    const repositoryToken = Token<Service>('Repository')
+    const serviceToken = Token<Service>('Service')
+
+    container.bindClass(repositoryToken, Service, { dependencies: [cacheToken] })
+    container.bindClass(serviceToken, Service, { dependencies: [repositoryToken, loggerToken] })
+
+    // Act
+    const result = container.verify()
+
+    // Assert
+    expect(result.valid).toBe(false)
+    expect(result.missing).toEqual(expect.arrayContaining([
+      { token: 'Token<ICache>', path: ['Token<Repository>', 'Token<ICache>'] },
+      { token: 'Token<ILogger>', path: ['Token<Service>', 'Token<ILogger>'] }
+    ]))
+    expect(result.missing).toHaveLength(2)
+  })
+
+  it('should report circular dependencies', () => {
+    // Arrange
+    class Service {}
+    const aToken = Token<Service>('A')
+    const bToken = Token<Service>('B')
+    const cToken = Token<Service>('C')
+
+    container.bindClass(aToken, Service, { dependencies: [bToken] })
+    container.bindClass(bToken, Service, { dependencies: [cToken] })
+    container.bindClass(cToken, Service, { dependencies: [aToken] })
+
+    // Act
+    const result = container.verify()
+
+    // Assert
+    expect(result.valid).toBe(false)
+    expect(result.cycles).toEqual([['Token<A>', 'Token<B>', 'Token<C>', 'Token<A>']])
+  })
+
+  it('should include bindings inherited from the parent', () => {
+    // Arrange
+    class Service {}
+    const configToken = Token<object>('IConfig')
+    const serviceToken = Token<Service>('Service')
+    container.bindClass(serviceToken, Service, { dependencies: [configToken] })
+
+    const child = container.createChild()
+
+    // Act & Assert
+    expect(child.verify().missing).toEqual([
+      { token: 'Token<IConfig>', path: ['Token<Service>', 'Token<IConfig>'] }
+    ])
+
+    child.bindValue(configToken, {})
+    expect(child.verify().valid).toBe(true)
+  })
+})
+
+describe('Verification - Builder', () => {
+  let container: Container
+
+  beforeEach(() => {
+    container = new Container()
+  })
+
+  it('should walk transformer-generated autowiring', () => {
+    // Arrange
+    interface ILogger {
+      log(message: string): void
+    }
+    interface IDatabase {
+      query(): string[]
+    }
+    interface IUserService {
+      list(): string[]
+    }
+    class Logger implements ILogger {
+      log() {}
+    }
+    class UserService implements IUserService {
+      constructor(private logger: ILogger, private database: IDatabase) {}
+      list() {
+        this.logger.log('list')
+        return this.database.query()
+      }
+    }
+
+    const builder = container.builder()
+    builder.registerType(Logger).as<ILogger>()
+    builder.registerType(UserService).as<IUserService>()
+    const app = builder.build()
+
+    // Act
+    const result = app.verify()
+
+    // Assert
+    expect(result.missing).toEqual([
+      { token: 'Token<IDatabase>', path: ['Token<IUserService>', 'Token<IDatabase>'] }
+    ])
+  })
+
+  it('should report tokens with several registrations injected as a single instance', () => {
+    // Arrange
+    interface INotifier {
+      send(): void
+    }
+    interface IOrderService {}
+    class EmailNotifier implements INotifier {
+      send() {}
+    }
+    class SmsNotifier implements INotifier {
+      send() {}
+    }
+    class OrderService implements IOrderService {
+      constructor(public notifier: INotifier) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(EmailNotifier).as<INotifier>()
+    builder.registerType(SmsNotifier).as<INotifier>()
+    builder.registerType(OrderService).as<IOrderService>()
+    const app = builder.build()
+
+    // Act
+    const result = app.verify()
+
+    // Assert
+    expect(result.valid).toBe(false)
+    expect(result.ambiguous).toEqual([
+      { token: 'Token<INotifier>', registrations: 2, requiredBy: ['Token<IOrderService>'] }
+    ])
+  })
+
+  it('should follow explicit tokens in autoWire maps and additional interfaces', () => {
+    // Arrange
+    class Clock {}
+    class Scheduler {
+      constructor(public clock: Clock) {}
+    }
+    const clockToken = Token<Clock>('IClock')
+    const schedulerToken = Token<Scheduler>('IScheduler')
+    const jobRunnerToken = Token<Scheduler>('IJobRunner')
+
+    const builder = container.builder()
+    builder
+      .registerType(Scheduler)
+      .asImplementedInterfaces([schedulerToken, jobRunnerToken])
+      .autoWire({ map: { clock: clockToken } })
+    const app = builder.build()
+
+    // Act
+    const result = app.verify()
+
+    // Assert
+    expect(result.missing).toEqual([
+      { token: 'Token<IClock>', path: ['Token<IScheduler>', 'Token<IClock>'] }
+    ])
+  })
+
+  it('should throw ContainerVerificationError from build({ validate: true })', () => {
+    // Arrange
+    interface IPaymentGateway {}
+    interface ICheckout {}
+    class Checkout implements ICheckout {
+      constructor(public gateway: IPaymentGateway) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(Checkout).as<ICheckout>()
+
+    // Act
+    const error = (() => {
+      try {
+        builder.build({ validate: true })
+      } catch (e) {
+        return e
+      }
+    })() as ContainerVerificationError
+
+    // Assert
+    expect(error).toBeInstanceOf(ContainerVerificationError)
+    expect(error.message).toContain('Missing: Token<IPaymentGateway>')
+    expect(error.result.missing).toHaveLength(1)
+  })
+
+  it('should not fail validation for singletons depending on transients', () => {
+    // Arrange
+    interface IHttpClient {}
+    interface IApiGateway {
+      client: IHttpClient
+    }
+    class HttpClient implements IHttpClient {}
+    class ApiGateway implements IApiGateway {
+      constructor(public client: IHttpClient) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(HttpClient).as<IHttpClient>().instancePerDependency()
+    builder.registerType(ApiGateway).as<IApiGateway>()
+
+    // Act
+    const app = builder.build({ validate: true })
+    const result = app.verify()
+
+    // Assert - reported, but only an error with a lifetime check mode
+    expect(result.valid).toBe(true)
+    expect(result.lifetimeMismatches).toEqual([{
+      path: ['Token<IApiGateway>', 'Token<IHttpClient>'],
+      lifetimes: ['singleton', 'transient']
+    }])
+  })
+
+  it('should leave lifetime mismatches out of ContainerVerificationError without a lifetime check mode', () => {
+    // Arrange
+    interface IPaymentGateway {}
+    interface IHttpClient {}
+    interface ICheckout {}
+    class HttpClient implements IHttpClient {}
+    class Checkout implements ICheckout {
+      constructor(public gateway: IPaymentGateway, public client: IHttpClient) {}
+    }
+
+    const builder = container.builder()
+    builder.registerType(HttpClient).as<IHttpClient>().instancePerDependency()
+    builder.registerType(Checkout).as<ICheckout>()
+
+    // Act & Assert
+    expect(() => builder.build({ validate: true })).toThrow(ContainerVerificationError)
+    expect(() => builder.build({ validate: true })).not.toThrow('Lifetime mismatch')
+  })
+
+  it('should build normally with validate when the graph is complete', () => {
+    // Arrange
+    interface IClock {}
+    class Clock implements IClock {}
+
+    const builder = container.builder()
+    builder.registerType(Clock).as<IClock>()
+
+    // Act & Assert
+    expect(builder.build({ validate: true }).resolveType<IClock>()).toBeInstanceOf(Clock)
+  })
+})
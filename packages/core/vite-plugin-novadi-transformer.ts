@@ -84,8 +84,14 @@ export function novadiTransformerPlugin(): Plugin {
               node.expression.name.text === 'resolveInterface' ||
               node.expression.name.text === 'resolveInterfaceKeyed' ||
               node.expression.name.text === 'resolveInterfaceAll' ||
+              node.expression.name.text.startsWith('resolveType') ||
+              node.expression.name.text === 'isRegisteredType' ||
+              node.expression.name.text === 'resolveFactory' ||
+              node.expression.name.text === 'asKeyedInterface' ||
               node.expression.name.text === 'bindInterface' ||
-              node.expression.name.text === 'registerType')
+              node.expression.name.text === 'registerType' ||
+              node.expression.name.text === 'registerDecorator' ||
+              node.expression.name.text === 'registerGeneric')
           ) {
             hasInterfaceCalls = true
           }